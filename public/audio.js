@@ -0,0 +1,216 @@
+
+/* Road Runner TV – procedural sound (Web Audio)
+   Everything is synthesized: engine tone, tire squeal, impacts, fuel chime,
+   low-fuel beep and a small bassline. Nothing plays until unlock() runs from a
+   user gesture, per browser autoplay rules.
+*/
+
+(function (root) {
+  const STORAGE_KEY = 'rr.audio';
+  const DEFAULT_VOLUMES = { master: 0.8, music: 0.5, sfx: 0.9 };
+
+  const LOW_FUEL_BEEP_S = 1.2;  // seconds between low-fuel beeps
+  const MUSIC_STEP_S = 0.25;    // eighth notes at 120 bpm
+  const MUSIC_LOOKAHEAD_S = 0.3;
+  // A minor walking bass, one entry per step (0 = rest)
+  const BASSLINE = [110, 0, 110, 131, 147, 0, 131, 110, 98, 0, 98, 117, 131, 0, 117, 98];
+
+  function loadVolumes() {
+    try {
+      return Object.assign({}, DEFAULT_VOLUMES, JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}'));
+    } catch (_) {
+      return Object.assign({}, DEFAULT_VOLUMES);
+    }
+  }
+
+  function createAudio() {
+    const AudioCtx = root.AudioContext || root.webkitAudioContext;
+    const volumes = loadVolumes();
+    let ctx = null;
+    let buses = null;   // { master, music, sfx } gain nodes
+    let engine = null;  // { osc, sub, filter, gain }
+    let squeal = null;  // { gain }
+    let noise = null;   // shared white-noise buffer
+    let muted = true;
+    let nextBeep = 0;
+    let musicStep = 0, nextNote = 0;
+
+    // Create (or resume) the context; call from a key/pointer handler
+    function unlock() {
+      if (!AudioCtx) return;
+      if (!ctx) build();
+      if (ctx.state === 'suspended' && !muted) ctx.resume();
+    }
+
+    function build() {
+      ctx = new AudioCtx();
+      const gain = (v, to) => { const g = ctx.createGain(); g.gain.value = v; g.connect(to); return g; };
+
+      const master = gain(muted ? 0 : volumes.master, ctx.destination);
+      buses = { master, music: gain(volumes.music, master), sfx: gain(volumes.sfx, master) };
+
+      noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+      const data = noise.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+      // Engine: detuned saw + square sub through a lowpass
+      const filter = ctx.createBiquadFilter();
+      filter.type = 'lowpass';
+      filter.frequency.value = 700;
+      const engGain = gain(0, buses.sfx);
+      filter.connect(engGain);
+      const osc = ctx.createOscillator();
+      osc.type = 'sawtooth';
+      const sub = ctx.createOscillator();
+      sub.type = 'square';
+      osc.connect(filter);
+      sub.connect(filter);
+      osc.start();
+      sub.start();
+      engine = { osc, sub, filter, gain: engGain };
+
+      // Tire squeal: band-passed noise, faded in while slipping
+      const src = ctx.createBufferSource();
+      src.buffer = noise;
+      src.loop = true;
+      const band = ctx.createBiquadFilter();
+      band.type = 'bandpass';
+      band.frequency.value = 2400;
+      band.Q.value = 6;
+      const sqGain = gain(0, buses.sfx);
+      src.connect(band);
+      band.connect(sqGain);
+      src.start();
+      squeal = { gain: sqGain };
+    }
+
+    // Short enveloped tone on the given bus
+    function tone(freq, { type = 'sine', at = 0, dur = 0.15, vol = 0.3, bus = 'sfx', slideTo } = {}) {
+      const t = ctx.currentTime + at;
+      const osc = ctx.createOscillator();
+      osc.type = type;
+      osc.frequency.setValueAtTime(freq, t);
+      if (slideTo) osc.frequency.exponentialRampToValueAtTime(slideTo, t + dur);
+      const g = ctx.createGain();
+      g.gain.setValueAtTime(0.0001, t);
+      g.gain.exponentialRampToValueAtTime(vol, t + 0.01);
+      g.gain.exponentialRampToValueAtTime(0.0001, t + dur);
+      osc.connect(g);
+      g.connect(buses[bus]);
+      osc.start(t);
+      osc.stop(t + dur + 0.02);
+    }
+
+    function noiseBurst({ dur = 0.25, vol = 0.5, cutoff = 1200 } = {}) {
+      const t = ctx.currentTime;
+      const src = ctx.createBufferSource();
+      src.buffer = noise;
+      const lp = ctx.createBiquadFilter();
+      lp.type = 'lowpass';
+      lp.frequency.value = cutoff;
+      const g = ctx.createGain();
+      g.gain.setValueAtTime(vol, t);
+      g.gain.exponentialRampToValueAtTime(0.0001, t + dur);
+      src.connect(lp);
+      lp.connect(g);
+      g.connect(buses.sfx);
+      src.start(t);
+      src.stop(t + dur);
+    }
+
+    // One-shot sounds for sim events (see sim.js step())
+    function onEvent(ev) {
+      if (!ctx || muted) return;
+      if (ev.type === 'crash') {
+        // Heavier hits (trucks, CRASH_TRUCK_MULTIPLIER) are louder, lower and longer
+        const m = ev.mult || 1;
+        noiseBurst({ dur: 0.22 * m, vol: Math.min(1, 0.45 * m), cutoff: 1400 / m });
+        tone(90 / m, { type: 'triangle', dur: 0.3 * m, vol: Math.min(1, 0.5 * m), slideTo: 40 / m });
+      } else if (ev.type === 'fuel') {
+        tone(880, { dur: 0.12, vol: 0.25 });
+        tone(1320, { at: 0.08, dur: 0.2, vol: 0.25 });
+      } else if (ev.type === 'wreck' && ev.kind === 'explode') {
+        noiseBurst({ dur: 0.8, vol: 0.9, cutoff: 700 });
+        tone(70, { type: 'triangle', dur: 0.7, vol: 0.7, slideTo: 30 });
+      } else if (ev.type === 'wreck') {
+        tone(900, { type: 'sawtooth', dur: 0.6, vol: 0.15, slideTo: 500 });
+        noiseBurst({ dur: 0.3, vol: 0.4, cutoff: 1400 });
+      } else if (ev.type === 'trafficCrash' && ev.onScreen) {
+        noiseBurst({ dur: 0.18, vol: 0.2, cutoff: 900 });
+      } else if (ev.type === 'powerUp') {
+        tone(660, { type: 'square', dur: 0.08, vol: 0.15 });
+        tone(990, { type: 'square', at: 0.07, dur: 0.08, vol: 0.15 });
+        tone(1320, { type: 'square', at: 0.14, dur: 0.12, vol: 0.15 });
+      } else if (ev.type === 'shieldHit') {
+        noiseBurst({ dur: 0.15, vol: 0.25, cutoff: 3000 });
+        tone(1200, { dur: 0.2, vol: 0.2, slideTo: 600 });
+      } else if (ev.type === 'overtake' && ev.nearMiss) {
+        tone(1560, { type: 'square', dur: 0.06, vol: 0.12 });
+      } else if (ev.type === 'lifeLost') {
+        tone(440, { type: 'square', dur: 0.5, vol: 0.2, slideTo: 110 });
+      }
+    }
+
+    function scheduleMusic() {
+      while (nextNote < ctx.currentTime + MUSIC_LOOKAHEAD_S) {
+        if (nextNote < ctx.currentTime) nextNote = ctx.currentTime;
+        const f = BASSLINE[musicStep % BASSLINE.length];
+        if (f) tone(f, { type: 'triangle', at: nextNote - ctx.currentTime, dur: MUSIC_STEP_S * 0.9, vol: 0.35, bus: 'music' });
+        musicStep++;
+        nextNote += MUSIC_STEP_S;
+      }
+    }
+
+    // Per-frame: follow the player's speed, slip and fuel state
+    function update(state, { lowFuel = false } = {}) {
+      if (!ctx || muted || !state.player) return;
+      const t = ctx.currentTime;
+      const p = state.player;
+
+      const boost = p.boost > 0 ? 1.15 : 1;
+      const pitch = (55 + p.speed * 0.9) * boost;
+      engine.osc.frequency.setTargetAtTime(pitch, t, 0.05);
+      engine.sub.frequency.setTargetAtTime(pitch * 0.5, t, 0.05);
+      engine.filter.frequency.setTargetAtTime(500 + p.speed * 6 * boost, t, 0.08);
+      engine.gain.gain.setTargetAtTime(0.08 + (p.speed / p.maxSpeed) * 0.1, t, 0.1);
+
+      squeal.gain.gain.setTargetAtTime(p.slip > 0 ? 0.18 : 0, t, 0.04);
+
+      if (lowFuel && t >= nextBeep) {
+        tone(660, { type: 'square', dur: 0.1, vol: 0.15 });
+        nextBeep = t + LOW_FUEL_BEEP_S;
+      }
+
+      scheduleMusic();
+    }
+
+    // Silence everything (pause, hidden tab); suspending also saves CPU on TVs
+    function setMuted(m) {
+      if (!!m === muted) return;
+      muted = !!m;
+      if (!ctx) return;
+      const t = ctx.currentTime;
+      buses.master.gain.setTargetAtTime(muted ? 0 : volumes.master, t, 0.02);
+      if (muted) {
+        engine.gain.gain.setTargetAtTime(0, t, 0.02);
+        squeal.gain.gain.setTargetAtTime(0, t, 0.02);
+        setTimeout(() => { if (muted && ctx.state === 'running') ctx.suspend(); }, 100);
+      } else if (ctx.state === 'suspended') {
+        ctx.resume();
+      }
+    }
+
+    // bus: 'master' | 'music' | 'sfx'; v in 0..1, persisted
+    function setVolume(bus, v) {
+      if (!(bus in DEFAULT_VOLUMES)) return;
+      volumes[bus] = Math.max(0, Math.min(1, Number(v) || 0));
+      try { localStorage.setItem(STORAGE_KEY, JSON.stringify(volumes)); } catch (_) { /* storage disabled */ }
+      if (!ctx || (bus === 'master' && muted)) return;
+      buses[bus].gain.setTargetAtTime(volumes[bus], ctx.currentTime, 0.02);
+    }
+
+    return { unlock, update, onEvent, setMuted, setVolume, volumes, defaultVolumes: DEFAULT_VOLUMES };
+  }
+
+  (root.RoadRunner = root.RoadRunner || {}).audio = { createAudio };
+})(window);
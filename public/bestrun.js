@@ -0,0 +1,98 @@
+
+/* Road Runner TV – personal-best ghost
+   Samples the player's x and distance over sim time during each run and keeps
+   the one that went furthest in localStorage, one per set of levels and
+   tuning (sim.tuningConfig). Later runs with the same levels and tuning race
+   against it: its car shows where it was at the same moment, and the HUD
+   shows how many metres ahead or behind you are.
+*/
+
+(function (root) {
+  const STORAGE_KEY = 'rr.bestRun';
+  const VERSION = 2;
+  const SAMPLE_MS = 20; // sim ms between samples: 5 a second of play at the default game speed
+  const KEEP = 5;       // level and tuning combinations remembered, most recent first
+
+  // Which best a run races: only one with the same levels and tuning drove the same road
+  const keyOf = (levels, tuning) => JSON.stringify([levels, tuning || null]);
+
+  // [{ key, distance, samples: [[time, x, distance], ...] }, ...]
+  function load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+      if (!saved || saved.version !== VERSION || !Array.isArray(saved.runs)) return [];
+      return saved.runs.filter(b => b && typeof b.key === 'string' && Array.isArray(b.samples) && b.samples.length);
+    } catch (_) {
+      return [];
+    }
+  }
+
+  function createBestRun() {
+    let bests = load();
+    let run = null;      // samples of the run in progress
+    let key = '';        // levels and tuning of the run in progress
+    let nextSample = 0;
+    let cursor = 0;      // sample index of the last lookup; run time only goes forward
+
+    const rival = () => bests.find(b => b.key === key) || null;
+
+    // tuning: as the run records it; samples: those of a saved run being
+    // continued (see save.js)
+    function start(levelIds, tuning, samples = []) {
+      run = samples.slice();
+      key = keyOf(levelIds, tuning);
+      nextSample = 0;
+      cursor = 0;
+    }
+
+    // Not racing the best (replays, 2P): nothing to show or record
+    function stop() {
+      run = null;
+    }
+
+    function sample(state) {
+      run.push([Math.round(state.time), Math.round(state.player.x), Math.round(state.distance * 10) / 10]);
+      nextSample = state.time + SAMPLE_MS;
+    }
+    // Call after every step of a live run
+    function record(state) {
+      if (run && state.time >= nextSample) sample(state);
+    }
+
+    // The run is over: keep it if it went further. True on a new best.
+    function finish(state) {
+      if (!run) return false;
+      sample(state);
+      const samples = run;
+      run = null;
+      const prev = rival();
+      if (prev && prev.distance >= Math.floor(state.distance)) return false;
+      bests = [{ key, distance: Math.floor(state.distance), samples }].concat(bests.filter(b => b.key !== key)).slice(0, KEEP);
+      try { localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: VERSION, runs: bests })); } catch (_) { /* storage full or disabled */ }
+      return true;
+    }
+
+    // Where the best run was at sim time t: { x, distance }, or null when this
+    // run has nothing to race. Past its end the ghost stays where it stopped.
+    function at(t, out = {}) {
+      const b = run && rival();
+      if (!b) return null;
+      const s = b.samples;
+      if (cursor >= s.length || (cursor > 0 && s[cursor][0] > t)) cursor = 0;
+      while (cursor < s.length - 1 && s[cursor + 1][0] <= t) cursor++;
+      const a = s[cursor], n = s[Math.min(cursor + 1, s.length - 1)];
+      const k = n[0] > a[0] ? Math.min(1, Math.max(0, (t - a[0]) / (n[0] - a[0]))) : 0;
+      out.x = a[1] + (n[1] - a[1]) * k;
+      out.distance = a[2] + (n[2] - a[2]) * k;
+      return out;
+    }
+
+    return {
+      start, stop, record, finish, at,
+      get best() { return rival(); }, // for the levels and tuning of the latest run
+      get samples() { return run && run.slice(); } // of the run in progress, null when not racing
+    };
+  }
+
+  (root.RoadRunner = root.RoadRunner || {}).bestRun = { createBestRun };
+})(window);
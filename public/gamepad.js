@@ -0,0 +1,89 @@
+
+/* Road Runner TV – gamepad input
+   Polls navigator.getGamepads() once per frame (Bluetooth pads on Android TV /
+   Fire TV) and maps the W3C "standard" layout onto the game's input fields.
+*/
+
+(function (root) {
+  // Standard mapping button indices
+  const BTN = { A: 0, B: 1, LT: 6, RT: 7, START: 9, UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15 };
+  const TRIGGER_THRESHOLD = 0.3; // analog triggers count as held past this
+
+  const pressed = (b) => !!b && (b.pressed || b.value > TRIGGER_THRESHOLD);
+
+  // Rescale so the stick reads 0 inside the dead zone and still reaches ±1
+  function applyDeadZone(v, dz) {
+    const a = Math.abs(v);
+    if (a <= dz) return 0;
+    return Math.sign(v) * Math.min(1, (a - dz) / (1 - dz));
+  }
+
+  // onConnect/onDisconnect(pad) fire on hot-plug; some TV browsers only expose a
+  // pad after its first button press, so poll() also notices new pads itself
+  function createGamepadInput({ deadZone = 0.2, onConnect, onDisconnect } = {}) {
+    const supported = typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+    let activeIndex = -1;
+    let prevButtons = [];
+
+    const state = { left: false, right: false, up: false, down: false, boost: false, steer: 0, actions: [] };
+
+    function findPad() {
+      const pads = supported ? navigator.getGamepads() : [];
+      if (activeIndex >= 0 && pads[activeIndex] && pads[activeIndex].connected) return pads[activeIndex];
+
+      for (const p of pads) {
+        if (p && p.connected) {
+          activeIndex = p.index;
+          prevButtons = [];
+          if (onConnect) onConnect(p);
+          return p;
+        }
+      }
+      return null;
+    }
+
+    if (supported) {
+      window.addEventListener('gamepadconnected', () => findPad());
+      window.addEventListener('gamepaddisconnected', (e) => {
+        if (e.gamepad.index !== activeIndex) return;
+        activeIndex = -1;
+        prevButtons = [];
+        if (onDisconnect) onDisconnect(e.gamepad);
+      });
+    }
+
+    // Read the active pad; returns null when none is connected.
+    // `actions` lists edge-triggered presses this frame: 'confirm' (A), 'pause' (Start/B).
+    function poll() {
+      if (!supported) return null;
+      const pad = findPad();
+      if (!pad) return null;
+
+      const b = pad.buttons;
+      const down = (i) => pressed(b[i]);
+      const justPressed = (i) => down(i) && !prevButtons[i];
+
+      state.steer = applyDeadZone(pad.axes[0] || 0, deadZone);
+      state.left  = down(BTN.LEFT);
+      state.right = down(BTN.RIGHT);
+      state.up    = down(BTN.RT) || down(BTN.UP);
+      state.down  = down(BTN.LT) || down(BTN.DOWN);
+      state.boost = down(BTN.A);
+
+      state.actions.length = 0;
+      if (justPressed(BTN.A)) state.actions.push('confirm');
+      if (justPressed(BTN.START) || justPressed(BTN.B)) state.actions.push('pause');
+
+      prevButtons = Array.prototype.map.call(b, pressed);
+      return state;
+    }
+
+    function setDeadZone(v) {
+      deadZone = Math.max(0, Math.min(0.9, Number(v) || 0));
+    }
+
+    return { poll, setDeadZone, get deadZone() { return deadZone; } };
+  }
+
+  (root.RoadRunner = root.RoadRunner || {}).gamepad = { createGamepadInput, applyDeadZone };
+})(window);
@@ -0,0 +1,119 @@
+
+/* Road Runner TV – DOM HUD
+   Mirrors a simulation state (see sim.js) into a HUD element; 2P gets one
+   HUD per player. The announcer reads key moments out to screen readers.
+*/
+
+(function (root) {
+  const { comboMultiplier, POWER_UPS, POWER_IDS } = root.RoadRunner.sim;
+  const ICON_PX = 32; // power-up timer icons, canvas px
+
+  // Fuel thresholds (%) for the HUD colors; the low-fuel beep uses LOW_FUEL too
+  const LOW_FUEL = 25;
+  const WARN_FUEL = 45;
+
+  // el: the HUD root (#hud in index.html, or a copy of it); label: e.g. "P1";
+  // units: formatter from units.js; t: string lookup from i18n.js
+  function createHud(el, { label = '', units = root.RoadRunner.units.createUnits(), t = root.RoadRunner.i18n.createI18n().t } = {}) {
+    const find = (cls) => el.querySelector(`.${cls}`);
+    const fuelEl  = find('fuel');
+    const speedEl = find('speed');
+    const distEl  = find('distance');
+    const livesEl = find('lives');
+    const stageEl = find('stage');
+    const progressEl = find('progress');
+    const progressFill = find('progress-fill');
+    const deltaEl = find('delta');
+    const scoreEl = find('score');
+    const comboEl = find('combo');
+    find('player').textContent = label;
+
+    // Power-up timer icons, painted like the pickups (render.js): one per kind,
+    // shown while it runs, with a bar for the time left
+    const powersEl = find('powers');
+    powersEl.textContent = ''; // a cloned HUD brings copies of the first one's
+    const powerIcons = POWER_IDS.map((id) => {
+      const icon = document.createElement('span');
+      icon.className = 'power';
+      icon.hidden = true;
+      icon.setAttribute('role', 'img');
+      const img = document.createElement('canvas');
+      img.width = img.height = ICON_PX;
+      root.RoadRunner.render.paintPowerUp(img.getContext('2d'), 0, 0, ICON_PX, ICON_PX, id);
+      const bar = document.createElement('i');
+      icon.append(img, bar);
+      powersEl.append(icon);
+      return { id, icon, bar };
+    });
+
+    function update(state) {
+      const { fuel } = state;
+      fuelEl.textContent = t('hud.fuel', { n: Math.round(fuel) });
+      fuelEl.classList.toggle('low', fuel <= LOW_FUEL);
+      fuelEl.classList.toggle('warn', fuel > LOW_FUEL && fuel <= WARN_FUEL);
+      speedEl.textContent = t('hud.speed', { speed: units.speed(state.player.speed) });
+      distEl.textContent = t('hud.distance', { distance: units.distance(state.distance) });
+      livesEl.textContent = state.over ? t('hud.out') : t('hud.lives', { n: state.lives });
+      scoreEl.textContent = t('hud.score', { score: units.count(state.score) });
+      comboEl.hidden = state.combo === 0;
+      if (state.combo) comboEl.textContent = t('hud.combo', { n: state.combo, multiplier: comboMultiplier(state.combo) });
+      for (const { id, icon, bar } of powerIcons) {
+        const left = state.powers[id];
+        if (icon.hidden && left) icon.setAttribute('aria-label', t(`power.${id}`));
+        icon.hidden = !left;
+        if (left) bar.style.width = `${Math.ceil(left / POWER_UPS[id].ms * 100)}%`;
+      }
+
+      const { stage } = state;
+      const pct = Math.min(100, Math.floor((stage.distance / stage.length) * 100));
+      stageEl.textContent = t('hud.stage', { n: stage.number });
+      progressFill.style.width = `${pct}%`;
+      progressEl.setAttribute('aria-valuenow', pct);
+    }
+
+    // Metres ahead (+) or behind (−) the personal best; null hides it
+    function setDelta(m) {
+      deltaEl.hidden = m === null;
+      if (m === null) return;
+      const d = Math.round(m);
+      deltaEl.textContent = t('hud.delta', { delta: `${d > 0 ? '+' : d < 0 ? '−' : '±'}${units.distance(Math.abs(d))}` });
+      deltaEl.classList.toggle('ahead', d > 0);
+      deltaEl.classList.toggle('behind', d < 0);
+    }
+
+    return { update, setDelta };
+  }
+
+  // A second HUD for 2P: a copy of `el` inserted after it, with id `id`
+  function cloneHudElement(el, id) {
+    const copy = el.cloneNode(true);
+    copy.id = id;
+    el.after(copy);
+    return copy;
+  }
+
+  // Spoken updates for screen readers through a live region (#announcer).
+  // Messages said together are read as one; the region is emptied first so
+  // the same message twice in a row is read again.
+  const ANNOUNCE_DELAY_MS = 100;
+
+  function createAnnouncer(el) {
+    const pending = [];
+    let timer = 0;
+
+    function say(text) {
+      pending.push(text);
+      if (timer) return;
+      el.textContent = '';
+      timer = setTimeout(() => {
+        el.textContent = pending.join('. ');
+        pending.length = 0;
+        timer = 0;
+      }, ANNOUNCE_DELAY_MS);
+    }
+
+    return { say };
+  }
+
+  (root.RoadRunner = root.RoadRunner || {}).hud = { createHud, cloneHudElement, createAnnouncer, LOW_FUEL, WARN_FUEL };
+})(window);
@@ -0,0 +1,72 @@
+
+/* Road Runner TV – localization
+   Every string the player reads comes from a language pack (lang/*.js, each
+   registering itself on RoadRunner.lang) through t(key, params):
+   `{name}` placeholders are filled from params, and an entry given as plural
+   forms ({ one, other, ... }) picks one by params.n. Strings missing from a
+   pack fall back to English. The language follows the browser unless the
+   Language setting picks one.
+
+   Static text in index.html carries data-i18n="key" (and data-i18n-label for
+   aria-label); apply() fills it in. Pack strings are ours, so they may use
+   <strong>.
+*/
+
+(function (root) {
+  const FALLBACK = 'en';
+  const packs = () => (root.RoadRunner && root.RoadRunner.lang) || {};
+
+  // The first of the browser's languages we have a pack for
+  function detectLocale(languages) {
+    const nav = root.navigator || {};
+    for (const tag of languages || nav.languages || [nav.language]) {
+      const base = String(tag || '').toLowerCase().split('-')[0];
+      if (packs()[base]) return base;
+    }
+    return FALLBACK;
+  }
+
+  // Plural category of n. Older TV browsers lack Intl.PluralRules; one/other
+  // is right for every pack shipped so far.
+  function pluralRule(locale) {
+    if (root.Intl && Intl.PluralRules) {
+      const rules = new Intl.PluralRules(locale);
+      return (n) => rules.select(n);
+    }
+    return (n) => (n === 1 ? 'one' : 'other');
+  }
+
+  // choice: 'auto' or a pack id
+  function createI18n(choice = 'auto') {
+    let locale, pack, plural;
+
+    function set(c) {
+      locale = c !== 'auto' && packs()[c] ? c : detectLocale();
+      pack = packs()[locale] || {};
+      plural = pluralRule(locale);
+    }
+
+    function lookup(key) {
+      if (key in pack) return pack[key];
+      const en = packs()[FALLBACK] || {};
+      return key in en ? en[key] : key;
+    }
+
+    function t(key, params) {
+      let s = lookup(key);
+      if (typeof s === 'object') s = s[plural(params.n)] || s.other;
+      return params ? s.replace(/\{(\w+)\}/g, (m, k) => (k in params ? params[k] : m)) : s;
+    }
+
+    function apply(doc = root.document) {
+      doc.documentElement.lang = locale;
+      for (const el of doc.querySelectorAll('[data-i18n]')) el.innerHTML = t(el.dataset.i18n);
+      for (const el of doc.querySelectorAll('[data-i18n-label]')) el.setAttribute('aria-label', t(el.dataset.i18nLabel));
+    }
+
+    set(choice);
+    return { t, set, apply, get locale() { return locale; } };
+  }
+
+  (root.RoadRunner = root.RoadRunner || {}).i18n = { createI18n, detectLocale };
+})(window);
@@ -0,0 +1,198 @@
+
+/* Road Runner TV – remote key tables
+   Per-platform key profiles (auto-selected from the user agent), user
+   remapping persisted to localStorage, and Tizen key registration.
+   A key id is either a KeyboardEvent.key name (string) or a keyCode (number).
+*/
+
+(function (root) {
+  const STORAGE_KEY = 'rr.keys';
+
+  // Actions a player can rebind, in the order the Controls screen lists them.
+  // left/right/up/down/boost are held; the rest fire once per press.
+  const ACTIONS = ['left', 'right', 'up', 'down', 'boost', 'pause', 'restart', 'controls', 'stats'];
+  const HELD = ['left', 'right', 'up', 'down', 'boost'];
+
+  // OK/Enter always confirms on overlays so a bad remap can't lock anyone out
+  const CONFIRM = ['Enter', 13, 'OK'];
+  const BACK = ['Escape', 27, 'Backspace', 8, 'GoBack', 'BrowserBack', 'XF86Back', 10009, 461];
+
+  const BASE = {
+    left:     ['ArrowLeft', 37],
+    right:    ['ArrowRight', 39],
+    up:       ['ArrowUp', 38],
+    down:     ['ArrowDown', 40],
+    boost:    ['Enter', 13, 'OK', ' '],
+    pause:    ['Escape', 27, 'Backspace', 8],
+    restart:  [],
+    controls: [],
+    stats:    []
+  };
+
+  // Second player's key set in 2P (keyboard only; on a TV P2 uses a gamepad)
+  const PLAYER2 = {
+    left:  ['a'],
+    right: ['d'],
+    up:    ['w'],
+    down:  ['s'],
+    boost: ['q', 'Shift']
+  };
+
+  // Color buttons share keyCodes 403–406 on Tizen, webOS and HbbTV remotes
+  const COLOR = { red: ['ColorF0Red', 403], green: ['ColorF1Green', 404], yellow: ['ColorF2Yellow', 405], blue: ['ColorF3Blue', 406] };
+
+  const PROFILES = {
+    desktop: {
+      name: 'Keyboard',
+      bindings: Object.assign({}, BASE, { restart: ['r'], controls: ['c'], stats: ['i'] })
+    },
+    tizen: {
+      name: 'Samsung Tizen',
+      bindings: Object.assign({}, BASE, {
+        pause: BASE.pause.concat(['XF86Back', 10009, 'MediaPlayPause', 10252, 'MediaPause', 19, 'MediaPlay', 415]),
+        restart: COLOR.red,
+        controls: COLOR.green,
+        stats: COLOR.yellow
+      }),
+      // Tizen only delivers these after tizen.tvinputdevice.registerKey()
+      register: ['MediaPlayPause', 'MediaPlay', 'MediaPause', 'ColorF0Red', 'ColorF1Green', 'ColorF2Yellow', 'ColorF3Blue']
+    },
+    webos: {
+      name: 'LG webOS',
+      bindings: Object.assign({}, BASE, {
+        pause: BASE.pause.concat(['GoBack', 461, 'MediaPlayPause', 'MediaPause', 19, 'MediaPlay', 415]),
+        restart: COLOR.red,
+        controls: COLOR.green,
+        stats: COLOR.yellow
+      })
+    },
+    androidtv: {
+      name: 'Android TV / Fire TV',
+      bindings: Object.assign({}, BASE, {
+        pause: BASE.pause.concat(['GoBack', 'BrowserBack', 'MediaPlayPause', 179, 'MediaPause', 'MediaPlay']),
+        restart: ['MediaRewind', 227],
+        controls: ['ContextMenu', 'MediaFastForward', 228],
+        stats: ['Info']
+      })
+    }
+  };
+
+  function detectProfile(ua) {
+    if (/Tizen/i.test(ua)) return 'tizen';
+    if (/Web0S|webOS|NetCast/i.test(ua)) return 'webos';
+    if (/AFT\w|Android TV|Fire TV|\bTV\b.*Android|Android.*\bTV\b|BRAVIA|SHIELD/i.test(ua)) return 'androidtv';
+    return 'desktop';
+  }
+
+  // How keys are shown: arrows as symbols, named keys through t('key.<name>')
+  const SYMBOLS = { ArrowLeft: '◀', ArrowRight: '▶', ArrowUp: '▲', ArrowDown: '▼' };
+  const NAMES = {
+    ' ': 'space', Enter: 'enter', Escape: 'esc', 8: 'backspace', 10009: 'back', 461: 'back', XF86Back: 'back', GoBack: 'back',
+    403: 'red', 404: 'green', 405: 'yellow', 406: 'blue',
+    ColorF0Red: 'red', ColorF1Green: 'green', ColorF2Yellow: 'yellow', ColorF3Blue: 'blue',
+    MediaPlayPause: 'playPause', 179: 'playPause', 10252: 'playPause', 415: 'play', 19: 'pause'
+  };
+
+  const matches = (id, e) => (typeof id === 'number'
+    ? e.keyCode === id
+    : (e.key || '').toLowerCase() === id.toLowerCase());
+
+  // Player bindings are stored as the { key, keyCode } that was pressed. Match
+  // on the readable key name when there is one; some TV browsers only report keyCode.
+  const hasName = (b) => !!b.key && b.key !== 'Unidentified';
+  const matchesUser = (b, e) => (hasName(b) ? matches(b.key, e) : e.keyCode === b.keyCode);
+  const sameKey = (b, id) => (typeof id === 'number' ? b.keyCode === id : hasName(b) && b.key.toLowerCase() === id.toLowerCase());
+
+  // t: string lookup from i18n.js, for key names
+  function createKeymap({ userAgent = navigator.userAgent, t = root.RoadRunner.i18n.createI18n().t } = {}) {
+    const profileId = detectProfile(userAgent);
+    const profile = PROFILES[profileId];
+    let overrides = load();
+
+    const label = (id) => SYMBOLS[id] || (id in NAMES ? t(`key.${NAMES[id]}`)
+      : typeof id === 'number' ? t('key.code', { code: id }) : id.length === 1 ? id.toUpperCase() : id);
+
+    function load() {
+      try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {};
+        const valid = {};
+        for (const a of ACTIONS) {
+          const b = saved[a];
+          if (b && typeof b === 'object' && typeof b.keyCode === 'number') valid[a] = b;
+        }
+        return valid;
+      } catch (_) {
+        return {};
+      }
+    }
+    function save() {
+      try { localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides)); } catch (_) { /* storage disabled */ }
+    }
+
+    // Profile keys for an action that the player hasn't remapped, minus any key
+    // the player has claimed for something else
+    function profileKeys(action) {
+      if (action in overrides) return [];
+      const claimed = Object.values(overrides);
+      return profile.bindings[action].filter(id => !claimed.some(b => sameKey(b, id)));
+    }
+
+    // Player bindings win over the profile; returns the action or null
+    function actionFor(e) {
+      return ACTIONS.find(a => a in overrides && matchesUser(overrides[a], e))
+        || ACTIONS.find(a => profileKeys(a).some(id => matches(id, e)))
+        || null;
+    }
+
+    // Readable names of the keys bound to an action (duplicates dropped)
+    function labelsFor(action) {
+      const ids = action in overrides ? [hasName(overrides[action]) ? overrides[action].key : overrides[action].keyCode] : profileKeys(action);
+      return ids.map(label).filter((l, i, all) => all.indexOf(l) === i);
+    }
+
+    // Bind the key from event `e` to `action`, taking it away from any other action
+    function setBinding(action, e) {
+      const b = { key: e.key, keyCode: e.keyCode };
+      for (const a of Object.keys(overrides)) {
+        if (matchesUser(overrides[a], e)) delete overrides[a];
+      }
+      overrides[action] = b;
+      save();
+    }
+
+    function resetBindings() {
+      overrides = {};
+      save();
+    }
+
+    // Player 2's held action for a key in 2P, or null
+    function player2ActionFor(e) {
+      return HELD.find(a => PLAYER2[a].some(id => matches(id, e))) || null;
+    }
+
+    // Tizen drops media/color keys unless the app asks for them
+    function registerTvKeys() {
+      const tvInput = root.tizen && root.tizen.tvinputdevice;
+      if (!tvInput || !profile.register) return;
+      for (const name of profile.register) {
+        try { tvInput.registerKey(name); } catch (_) { /* key not on this model */ }
+      }
+    }
+
+    return {
+      profileId,
+      profileName: profile.name,
+      actionFor,
+      player2ActionFor,
+      labelsFor,
+      setBinding,
+      resetBindings,
+      registerTvKeys,
+      isConfirm: (e) => CONFIRM.some(id => matches(id, e)),
+      isBack: (e) => BACK.some(id => matches(id, e)),
+      label
+    };
+  }
+
+  (root.RoadRunner = root.RoadRunner || {}).keys = { ACTIONS, HELD, PROFILES, PLAYER2, detectProfile, createKeymap };
+})(window);
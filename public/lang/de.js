@@ -0,0 +1,192 @@
+
+/* Road Runner TV – German strings (see i18n.js and lang/en.js) */
+
+(function (root) {
+  const RR = root.RoadRunner = root.RoadRunner || {};
+  (RR.lang = RR.lang || {}).de = {
+    // Menu
+    'menu.remote': 'Benutze deine TV-Fernbedienung:',
+    'menu.steer': '◀ ▶ zum Lenken',
+    'menu.speed': '▲ ▼ zum Ändern der Geschwindigkeit',
+    'menu.boost': '<strong>OK/Enter</strong> für Boost',
+    'menu.pause': '<strong>Back/Esc</strong> für Pause',
+    'menu.gamepad': 'Gamepad: Stick zum Lenken, Trigger für die Geschwindigkeit, <strong>A</strong> für Boost, <strong>Start</strong> für Pause',
+    'menu.touch': 'Touch-Steuerung:',
+    'menu.touchSteer': 'Linke / rechte Seite halten zum Lenken, oder seitlich ziehen',
+    'menu.touchSpeed': '▲ ▼ wischen zum Ändern der Geschwindigkeit',
+    'menu.touchBoost': '<strong>Tippen</strong> für Boost (auch beim Lenken)',
+    'menu.touchPause': '<strong>❚❚</strong> für Pause',
+    'menu.touchModes': 'Tippe auf ◀ oder ▶, um den Modus zu wechseln (2 Spieler braucht ein Gamepad für Spieler 2)',
+    'menu.versus': '2 Spieler: geteilter Bildschirm, Spieler 2 mit Gamepad oder <strong>W A S D</strong> + <strong>Q</strong> für Boost',
+    'menu.rooms': 'Online-Räume',
+    'menu.start': '<strong>OK/Enter</strong> drücken zum Starten • <strong>▼</strong> für Einstellungen',
+    'menu.tapStart': '<strong>Tippen</strong> zum Starten',
+    'menu.keys': '{profile}: {controls} belegt Tasten neu, {restart} startet neu',
+
+    // Modes under ◀ ▶
+    'mode.solo': '1 Spieler',
+    'mode.versus': '2 Spieler',
+    'mode.room': 'Online: {room}',
+    'mode.roomPlayers': { one: 'Online: {room} ({n} Spieler)', other: 'Online: {room} ({n} Spieler)' },
+    'mode.newRoom': 'Online: neuer Raum',
+    'mode.continue': 'Fahrt fortsetzen: Etappe {stage}, {distance}',
+
+    // Pause, stage clear, game over
+    'pause.title': 'Pausiert',
+    'pause.label': 'Pause',
+    'pause.resume': '<strong>OK/Enter</strong> drücken zum Fortsetzen • <strong>▼</strong> für Einstellungen',
+    'pause.tapResume': '<strong>Tippen</strong> zum Fortsetzen',
+    'clear.title': 'Etappe geschafft!',
+    'clear.stats': 'Etappe {stage}: {name} • Zeit: {time} • Bonus-Treibstoff: +{fuel}%',
+    'clear.next': '<strong>OK/Enter</strong> drücken für die nächste Etappe',
+    'clear.tapNext': '<strong>Tippen</strong> für die nächste Etappe',
+    'over.title': 'Spiel vorbei',
+    'over.stats': 'Etappe {stage} • Strecke: {distance} • Höchstgeschwindigkeit: {speed}',
+    'over.newBest': 'Neue persönliche Bestleistung!',
+    'over.best': 'Persönliche Bestleistung: {distance}',
+    'over.score': 'Punkte: {score}',
+    'over.overtakes': { one: '{n} Überholung: {points}', other: '{n} Überholungen: {points}' },
+    'over.nearMisses': { one: '{n} knappes Manöver: {points}', other: '{n} knappe Manöver: {points}' },
+    'over.speedBonus': 'Tempobonus: {points}',
+    'over.bestCombo': 'Beste Combo: {n}',
+    'over.draw': 'Unentschieden!',
+    'over.winner': 'Spieler {n} gewinnt mit {distance} Vorsprung',
+    'over.board': 'Beste Fahrten',
+    'over.restart': '<strong>OK/Enter</strong> drücken für Neustart',
+    'over.tapRestart': '<strong>Tippen</strong> für Neustart',
+
+    // HUD
+    'hud.fuel': 'Treibstoff: {n}%',
+    'hud.speed': 'Tempo: {speed}',
+    'hud.distance': 'Strecke: {distance}',
+    'hud.lives': { one: '{n} Leben', other: '{n} Leben' },
+    'hud.out': 'Raus!',
+    'hud.stage': 'Etappe {n}',
+    'hud.progress': 'Etappenfortschritt',
+    'hud.delta': '{delta} zur Bestleistung',
+    'hud.score': 'Punkte: {score}',
+    'hud.combo': 'Combo {n} ×{multiplier}',
+    'ghost.best': 'Rekord',
+    'power.shield': 'Schild',
+    'power.magnet': 'Treibstoffmagnet',
+    'power.slow': 'Zeitlupe',
+    'power.tires': 'Ölfeste Reifen',
+
+    // Screen reader announcements
+    'say.lowFuel': 'Wenig Treibstoff',
+    'say.lifeLost': { one: 'Leben verloren. Noch {n} Leben', other: 'Leben verloren. Noch {n} Leben' },
+    'say.wrecked': 'Totalschaden',
+    'say.paused': 'Pausiert',
+    'say.resumed': 'Weiter',
+    'say.gameOver': 'Spiel vorbei. Strecke: {distance}',
+
+    // Toasts
+    'toast.unranked': 'Einstellungen während der Fahrt geändert: diese Fahrt kommt nicht in die Rangliste',
+    'toast.padOn': 'Controller verbunden: {name}',
+    'toast.padOff': 'Controller getrennt',
+    'toast.joined': '{name} ist dem Rennen beigetreten',
+    'toast.left': '{name} hat das Rennen verlassen',
+    'toast.dropped': '{name} hat die Verbindung verloren',
+    'toast.raceLost': 'Verbindung zum Rennserver verloren, verbinde neu…',
+    'toast.raceError': 'Online: {message}',
+    'toast.cleared': 'P{n} hat {name} geschafft • +{fuel}% Treibstoff',
+
+    // Leaderboard
+    'board.player': 'Spieler',
+    'board.offline': 'Offline: Punkte werden nur auf diesem Fernseher gespeichert',
+    'board.notSaved': 'Punkte nicht gespeichert: {error}',
+
+    // Settings screen
+    'settings.title': 'Einstellungen',
+    'settings.button': 'Einstellungen',
+    'settings.hint': '▲ ▼ zum Auswählen • ◀ ▶ zum Ändern • <strong>Back</strong> zum Verlassen',
+    'settings.tapHint': 'Eine Einstellung <strong>antippen</strong>, um sie zu ändern',
+    'settings.reset': 'Auf Standard zurücksetzen',
+    'settings.done': 'Fertig',
+    'setting.gameSpeed': 'Spieltempo',
+    'setting.gameSpeed.slow': 'Langsam',
+    'setting.gameSpeed.normal': 'Normal',
+    'setting.gameSpeed.fast': 'Schnell',
+    'setting.gameSpeed.turbo': 'Turbo',
+    'setting.steerGain': 'Lenkung',
+    'setting.steerGain.veryLow': 'Sehr niedrig',
+    'setting.steerGain.low': 'Niedrig',
+    'setting.steerGain.normal': 'Normal',
+    'setting.steerGain.high': 'Hoch',
+    'setting.steerGain.veryHigh': 'Sehr hoch',
+    'setting.deadZone': 'Gamepad-Totzone',
+    'setting.deadZone.verySmall': 'Sehr klein',
+    'setting.deadZone.small': 'Klein',
+    'setting.deadZone.normal': 'Normal',
+    'setting.deadZone.large': 'Groß',
+    'setting.deadZone.veryLarge': 'Sehr groß',
+    'setting.difficulty': 'Schwierigkeit',
+    'setting.difficulty.easy': 'Leicht',
+    'setting.difficulty.normal': 'Normal',
+    'setting.difficulty.hard': 'Schwer',
+    'setting.crashMode': 'Unfälle',
+    'setting.crashMode.classic': 'Klassisch (abbremsen)',
+    'setting.crashMode.arcade': 'Arcade (Totalschaden und Neustart)',
+    'setting.language': 'Sprache',
+    'setting.language.auto': 'Automatisch',
+    'setting.language.en': 'English',
+    'setting.language.sq': 'Shqip',
+    'setting.language.it': 'Italiano',
+    'setting.language.de': 'Deutsch',
+    'setting.units': 'Einheiten',
+    'setting.units.metric': 'Metrisch (km/h, m)',
+    'setting.units.imperial': 'Imperial (mph, ft, mi)',
+    'setting.palette': 'Farben',
+    'setting.palette.standard': 'Standard',
+    'setting.palette.colorblind': 'Farbenblind-freundlich',
+    'setting.palette.contrast': 'Hoher Kontrast',
+    'setting.markers': 'Fahrzeugsymbole',
+    'setting.markers.off': 'Aus',
+    'setting.markers.on': 'An',
+    'setting.reduceMotion': 'Bewegung reduzieren',
+    'setting.reduceMotion.off': 'Aus',
+    'setting.reduceMotion.on': 'An',
+    'setting.sprites': 'Autodarstellung',
+    'setting.sprites.on': 'Zwischengespeicherte Sprites',
+    'setting.sprites.off': 'Vektor (langsamer)',
+    'setting.quality': 'Grafik',
+    'setting.quality.auto': 'Automatisch',
+    'setting.quality.high': 'Hoch',
+    'setting.quality.medium': 'Mittel',
+    'setting.quality.low': 'Niedrig',
+    'setting.quality.lowest': 'Minimal',
+    'setting.volume': 'Lautstärke',
+    'setting.music': 'Musik',
+    'setting.effects': 'Effekte',
+
+    // Controls screen
+    'controls.title': 'Steuerung',
+    'controls.hint': '▲ ▼ zum Auswählen • <strong>OK</strong>, dann die neue Taste drücken • <strong>Back</strong> zum Verlassen',
+    'controls.profile': 'Fernbedienungsprofil: {name}',
+    'controls.press': 'Taste drücken…',
+    'action.left': 'Nach links lenken',
+    'action.right': 'Nach rechts lenken',
+    'action.up': 'Beschleunigen',
+    'action.down': 'Bremsen',
+    'action.boost': 'Boost',
+    'action.pause': 'Pause',
+    'action.restart': 'Neustart',
+    'action.controls': 'Steuerung',
+    'action.stats': 'Statistik-Anzeige',
+
+    // Key names on the Controls screen and the menu hint (keys.js)
+    'key.space': 'Leertaste',
+    'key.enter': 'OK/Enter',
+    'key.esc': 'Esc',
+    'key.backspace': 'Rücktaste',
+    'key.back': 'Back',
+    'key.red': 'Rot',
+    'key.green': 'Grün',
+    'key.yellow': 'Gelb',
+    'key.blue': 'Blau',
+    'key.playPause': 'Play/Pause',
+    'key.play': 'Play',
+    'key.pause': 'Pause',
+    'key.code': 'Taste {code}'
+  };
+})(window);
@@ -0,0 +1,195 @@
+
+/* Road Runner TV – English strings (see i18n.js)
+   The reference pack: other languages fall back to it key by key, so every
+   key lives here first.
+*/
+
+(function (root) {
+  const RR = root.RoadRunner = root.RoadRunner || {};
+  (RR.lang = RR.lang || {}).en = {
+    // Menu
+    'menu.remote': 'Use your TV remote:',
+    'menu.steer': '◀ ▶ to steer',
+    'menu.speed': '▲ ▼ to adjust speed',
+    'menu.boost': '<strong>OK/Enter</strong> to Boost',
+    'menu.pause': '<strong>Back/Esc</strong> to Pause',
+    'menu.gamepad': 'Gamepad: stick to steer, triggers for speed, <strong>A</strong> to Boost, <strong>Start</strong> to Pause',
+    'menu.touch': 'Touch controls:',
+    'menu.touchSteer': 'Hold the left / right side to steer, or drag sideways',
+    'menu.touchSpeed': 'Swipe ▲ ▼ to adjust speed',
+    'menu.touchBoost': '<strong>Tap</strong> to Boost (works while steering)',
+    'menu.touchPause': '<strong>❚❚</strong> to Pause',
+    'menu.touchModes': 'Tap ◀ or ▶ to change mode (2 players needs a gamepad for player 2)',
+    'menu.versus': '2 players: split screen, player 2 on a gamepad or <strong>W A S D</strong> + <strong>Q</strong> to boost',
+    'menu.rooms': 'Online rooms',
+    'menu.start': 'Press <strong>OK/Enter</strong> to start • <strong>▼</strong> for Settings',
+    'menu.tapStart': '<strong>Tap</strong> to start',
+    'menu.keys': '{profile}: {controls} remaps keys, {restart} restarts',
+
+    // Modes under ◀ ▶
+    'mode.solo': '1 Player',
+    'mode.versus': '2 Players',
+    'mode.room': 'Online: {room}',
+    'mode.roomPlayers': { one: 'Online: {room} ({n} player)', other: 'Online: {room} ({n} players)' },
+    'mode.newRoom': 'Online: new room',
+    'mode.continue': 'Continue run: stage {stage}, {distance}',
+
+    // Pause, stage clear, game over
+    'pause.title': 'Paused',
+    'pause.label': 'Pause',
+    'pause.resume': 'Press <strong>OK/Enter</strong> to resume • <strong>▼</strong> for Settings',
+    'pause.tapResume': '<strong>Tap</strong> to resume',
+    'clear.title': 'Stage clear!',
+    'clear.stats': 'Stage {stage}: {name} • Time: {time} • Bonus fuel: +{fuel}%',
+    'clear.next': 'Press <strong>OK/Enter</strong> for the next stage',
+    'clear.tapNext': '<strong>Tap</strong> for the next stage',
+    'over.title': 'Game Over',
+    'over.stats': 'Stage {stage} • Distance: {distance} • Top speed: {speed}',
+    'over.newBest': 'New personal best!',
+    'over.best': 'Personal best: {distance}',
+    'over.score': 'Score: {score}',
+    'over.overtakes': { one: '{n} overtake: {points}', other: '{n} overtakes: {points}' },
+    'over.nearMisses': { one: '{n} near miss: {points}', other: '{n} near misses: {points}' },
+    'over.speedBonus': 'Speed bonus: {points}',
+    'over.bestCombo': 'Best combo: {n}',
+    'over.draw': 'It\'s a draw!',
+    'over.winner': 'Player {n} wins by {distance}',
+    'over.board': 'Best runs',
+    'over.restart': 'Press <strong>OK/Enter</strong> to restart',
+    'over.tapRestart': '<strong>Tap</strong> to restart',
+
+    // HUD
+    'hud.fuel': 'Fuel: {n}%',
+    'hud.speed': 'Speed: {speed}',
+    'hud.distance': 'Distance: {distance}',
+    'hud.lives': { one: '{n} life', other: '{n} lives' },
+    'hud.out': 'Out!',
+    'hud.stage': 'Stage {n}',
+    'hud.progress': 'Stage progress',
+    'hud.delta': '{delta} vs best',
+    'hud.score': 'Score: {score}',
+    'hud.combo': 'Combo {n} ×{multiplier}',
+    'ghost.best': 'Best',
+    'power.shield': 'Shield',
+    'power.magnet': 'Fuel magnet',
+    'power.slow': 'Slow motion',
+    'power.tires': 'Oil-proof tires',
+
+    // Screen reader announcements
+    'say.lowFuel': 'Low fuel',
+    'say.lifeLost': { one: 'Life lost. {n} life left', other: 'Life lost. {n} lives left' },
+    'say.wrecked': 'Wrecked',
+    'say.paused': 'Paused',
+    'say.resumed': 'Resumed',
+    'say.gameOver': 'Game over. Distance: {distance}',
+
+    // Toasts
+    'toast.unranked': 'Settings changed mid-run: this run won\'t be ranked',
+    'toast.padOn': 'Controller connected: {name}',
+    'toast.padOff': 'Controller disconnected',
+    'toast.joined': '{name} joined the race',
+    'toast.left': '{name} left the race',
+    'toast.dropped': '{name} disconnected',
+    'toast.raceLost': 'Race server lost, reconnecting…',
+    'toast.raceError': 'Online: {message}',
+    'toast.cleared': 'P{n} cleared {name} • +{fuel}% fuel',
+
+    // Leaderboard
+    'board.player': 'Player',
+    'board.offline': 'Offline: scores are saved on this TV only',
+    'board.notSaved': 'Score not saved: {error}',
+
+    // Settings screen
+    'settings.title': 'Settings',
+    'settings.button': 'Settings',
+    'settings.hint': '▲ ▼ to choose • ◀ ▶ to change • <strong>Back</strong> to leave',
+    'settings.tapHint': '<strong>Tap</strong> a setting to change it',
+    'settings.reset': 'Reset to defaults',
+    'settings.done': 'Done',
+    'setting.gameSpeed': 'Game speed',
+    'setting.gameSpeed.slow': 'Slow',
+    'setting.gameSpeed.normal': 'Normal',
+    'setting.gameSpeed.fast': 'Fast',
+    'setting.gameSpeed.turbo': 'Turbo',
+    'setting.steerGain': 'Steering',
+    'setting.steerGain.veryLow': 'Very low',
+    'setting.steerGain.low': 'Low',
+    'setting.steerGain.normal': 'Normal',
+    'setting.steerGain.high': 'High',
+    'setting.steerGain.veryHigh': 'Very high',
+    'setting.deadZone': 'Gamepad dead zone',
+    'setting.deadZone.verySmall': 'Very small',
+    'setting.deadZone.small': 'Small',
+    'setting.deadZone.normal': 'Normal',
+    'setting.deadZone.large': 'Large',
+    'setting.deadZone.veryLarge': 'Very large',
+    'setting.difficulty': 'Difficulty',
+    'setting.difficulty.easy': 'Easy',
+    'setting.difficulty.normal': 'Normal',
+    'setting.difficulty.hard': 'Hard',
+    'setting.crashMode': 'Crashes',
+    'setting.crashMode.classic': 'Classic (slow down)',
+    'setting.crashMode.arcade': 'Arcade (wreck and respawn)',
+    'setting.language': 'Language',
+    'setting.language.auto': 'Automatic',
+    'setting.language.en': 'English',
+    'setting.language.sq': 'Shqip',
+    'setting.language.it': 'Italiano',
+    'setting.language.de': 'Deutsch',
+    'setting.units': 'Units',
+    'setting.units.metric': 'Metric (km/h, m)',
+    'setting.units.imperial': 'Imperial (mph, ft, mi)',
+    'setting.palette': 'Colors',
+    'setting.palette.standard': 'Standard',
+    'setting.palette.colorblind': 'Colorblind-safe',
+    'setting.palette.contrast': 'High contrast',
+    'setting.markers': 'Car type symbols',
+    'setting.markers.off': 'Off',
+    'setting.markers.on': 'On',
+    'setting.reduceMotion': 'Reduce motion',
+    'setting.reduceMotion.off': 'Off',
+    'setting.reduceMotion.on': 'On',
+    'setting.sprites': 'Car drawing',
+    'setting.sprites.on': 'Cached sprites',
+    'setting.sprites.off': 'Vector (slower)',
+    'setting.quality': 'Graphics',
+    'setting.quality.auto': 'Auto',
+    'setting.quality.high': 'High',
+    'setting.quality.medium': 'Medium',
+    'setting.quality.low': 'Low',
+    'setting.quality.lowest': 'Lowest',
+    'setting.volume': 'Volume',
+    'setting.music': 'Music',
+    'setting.effects': 'Effects',
+
+    // Controls screen
+    'controls.title': 'Controls',
+    'controls.hint': '▲ ▼ to choose • <strong>OK</strong> then press the new key • <strong>Back</strong> to leave',
+    'controls.profile': 'Remote profile: {name}',
+    'controls.press': 'Press a key…',
+    'action.left': 'Steer left',
+    'action.right': 'Steer right',
+    'action.up': 'Speed up',
+    'action.down': 'Slow down',
+    'action.boost': 'Boost',
+    'action.pause': 'Pause',
+    'action.restart': 'Restart',
+    'action.controls': 'Controls',
+    'action.stats': 'Stats overlay',
+
+    // Key names on the Controls screen and the menu hint (keys.js)
+    'key.space': 'Space',
+    'key.enter': 'OK/Enter',
+    'key.esc': 'Esc',
+    'key.backspace': 'Backspace',
+    'key.back': 'Back',
+    'key.red': 'Red',
+    'key.green': 'Green',
+    'key.yellow': 'Yellow',
+    'key.blue': 'Blue',
+    'key.playPause': 'Play/Pause',
+    'key.play': 'Play',
+    'key.pause': 'Pause',
+    'key.code': 'Key {code}'
+  };
+})(window);
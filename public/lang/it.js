@@ -0,0 +1,192 @@
+
+/* Road Runner TV – Italian strings (see i18n.js and lang/en.js) */
+
+(function (root) {
+  const RR = root.RoadRunner = root.RoadRunner || {};
+  (RR.lang = RR.lang || {}).it = {
+    // Menu
+    'menu.remote': 'Usa il telecomando della TV:',
+    'menu.steer': '◀ ▶ per sterzare',
+    'menu.speed': '▲ ▼ per regolare la velocità',
+    'menu.boost': '<strong>OK/Enter</strong> per il turbo',
+    'menu.pause': '<strong>Back/Esc</strong> per la pausa',
+    'menu.gamepad': 'Gamepad: levetta per sterzare, grilletti per la velocità, <strong>A</strong> per il turbo, <strong>Start</strong> per la pausa',
+    'menu.touch': 'Controlli touch:',
+    'menu.touchSteer': 'Tieni premuto il lato sinistro / destro per sterzare, o trascina di lato',
+    'menu.touchSpeed': 'Scorri ▲ ▼ per regolare la velocità',
+    'menu.touchBoost': '<strong>Tocca</strong> per il turbo (anche mentre sterzi)',
+    'menu.touchPause': '<strong>❚❚</strong> per la pausa',
+    'menu.touchModes': 'Tocca ◀ o ▶ per cambiare modalità (2 giocatori richiede un gamepad per il giocatore 2)',
+    'menu.versus': '2 giocatori: schermo diviso, giocatore 2 con un gamepad o <strong>W A S D</strong> + <strong>Q</strong> per il turbo',
+    'menu.rooms': 'Stanze online',
+    'menu.start': 'Premi <strong>OK/Enter</strong> per iniziare • <strong>▼</strong> per le Impostazioni',
+    'menu.tapStart': '<strong>Tocca</strong> per iniziare',
+    'menu.keys': '{profile}: {controls} riassegna i tasti, {restart} ricomincia',
+
+    // Modes under ◀ ▶
+    'mode.solo': '1 giocatore',
+    'mode.versus': '2 giocatori',
+    'mode.room': 'Online: {room}',
+    'mode.roomPlayers': { one: 'Online: {room} ({n} giocatore)', other: 'Online: {room} ({n} giocatori)' },
+    'mode.newRoom': 'Online: nuova stanza',
+    'mode.continue': 'Continua la corsa: tappa {stage}, {distance}',
+
+    // Pause, stage clear, game over
+    'pause.title': 'In pausa',
+    'pause.label': 'Pausa',
+    'pause.resume': 'Premi <strong>OK/Enter</strong> per riprendere • <strong>▼</strong> per le Impostazioni',
+    'pause.tapResume': '<strong>Tocca</strong> per riprendere',
+    'clear.title': 'Tappa completata!',
+    'clear.stats': 'Tappa {stage}: {name} • Tempo: {time} • Carburante bonus: +{fuel}%',
+    'clear.next': 'Premi <strong>OK/Enter</strong> per la tappa successiva',
+    'clear.tapNext': '<strong>Tocca</strong> per la tappa successiva',
+    'over.title': 'Partita finita',
+    'over.stats': 'Tappa {stage} • Distanza: {distance} • Velocità massima: {speed}',
+    'over.newBest': 'Nuovo record personale!',
+    'over.best': 'Record personale: {distance}',
+    'over.score': 'Punti: {score}',
+    'over.overtakes': { one: '{n} sorpasso: {points}', other: '{n} sorpassi: {points}' },
+    'over.nearMisses': { one: '{n} sorpasso al limite: {points}', other: '{n} sorpassi al limite: {points}' },
+    'over.speedBonus': 'Bonus velocità: {points}',
+    'over.bestCombo': 'Combo migliore: {n}',
+    'over.draw': 'Pareggio!',
+    'over.winner': 'Il giocatore {n} vince con {distance} di vantaggio',
+    'over.board': 'Migliori corse',
+    'over.restart': 'Premi <strong>OK/Enter</strong> per ricominciare',
+    'over.tapRestart': '<strong>Tocca</strong> per ricominciare',
+
+    // HUD
+    'hud.fuel': 'Carburante: {n}%',
+    'hud.speed': 'Velocità: {speed}',
+    'hud.distance': 'Distanza: {distance}',
+    'hud.lives': { one: '{n} vita', other: '{n} vite' },
+    'hud.out': 'Fuori!',
+    'hud.stage': 'Tappa {n}',
+    'hud.progress': 'Avanzamento della tappa',
+    'hud.delta': '{delta} dal record',
+    'hud.score': 'Punti: {score}',
+    'hud.combo': 'Combo {n} ×{multiplier}',
+    'ghost.best': 'Record',
+    'power.shield': 'Scudo',
+    'power.magnet': 'Calamita carburante',
+    'power.slow': 'Rallentatore',
+    'power.tires': 'Gomme antiolio',
+
+    // Screen reader announcements
+    'say.lowFuel': 'Carburante basso',
+    'say.lifeLost': { one: 'Vita persa. Resta {n} vita', other: 'Vita persa. Restano {n} vite' },
+    'say.wrecked': 'Auto distrutta',
+    'say.paused': 'In pausa',
+    'say.resumed': 'Ripreso',
+    'say.gameOver': 'Partita finita. Distanza: {distance}',
+
+    // Toasts
+    'toast.unranked': 'Impostazioni cambiate durante la corsa: questa corsa non andrà in classifica',
+    'toast.padOn': 'Controller collegato: {name}',
+    'toast.padOff': 'Controller scollegato',
+    'toast.joined': '{name} è entrato in gara',
+    'toast.left': '{name} ha lasciato la gara',
+    'toast.dropped': '{name} si è disconnesso',
+    'toast.raceLost': 'Server di gara perso, riconnessione…',
+    'toast.raceError': 'Online: {message}',
+    'toast.cleared': 'P{n} ha completato {name} • +{fuel}% carburante',
+
+    // Leaderboard
+    'board.player': 'Giocatore',
+    'board.offline': 'Offline: i punteggi sono salvati solo su questa TV',
+    'board.notSaved': 'Punteggio non salvato: {error}',
+
+    // Settings screen
+    'settings.title': 'Impostazioni',
+    'settings.button': 'Impostazioni',
+    'settings.hint': '▲ ▼ per scegliere • ◀ ▶ per cambiare • <strong>Back</strong> per uscire',
+    'settings.tapHint': '<strong>Tocca</strong> un\'impostazione per cambiarla',
+    'settings.reset': 'Ripristina predefiniti',
+    'settings.done': 'Fatto',
+    'setting.gameSpeed': 'Velocità di gioco',
+    'setting.gameSpeed.slow': 'Lenta',
+    'setting.gameSpeed.normal': 'Normale',
+    'setting.gameSpeed.fast': 'Veloce',
+    'setting.gameSpeed.turbo': 'Turbo',
+    'setting.steerGain': 'Sterzo',
+    'setting.steerGain.veryLow': 'Molto basso',
+    'setting.steerGain.low': 'Basso',
+    'setting.steerGain.normal': 'Normale',
+    'setting.steerGain.high': 'Alto',
+    'setting.steerGain.veryHigh': 'Molto alto',
+    'setting.deadZone': 'Zona morta del gamepad',
+    'setting.deadZone.verySmall': 'Molto piccola',
+    'setting.deadZone.small': 'Piccola',
+    'setting.deadZone.normal': 'Normale',
+    'setting.deadZone.large': 'Grande',
+    'setting.deadZone.veryLarge': 'Molto grande',
+    'setting.difficulty': 'Difficoltà',
+    'setting.difficulty.easy': 'Facile',
+    'setting.difficulty.normal': 'Normale',
+    'setting.difficulty.hard': 'Difficile',
+    'setting.crashMode': 'Incidenti',
+    'setting.crashMode.classic': 'Classici (rallenta)',
+    'setting.crashMode.arcade': 'Arcade (distruzione e ripartenza)',
+    'setting.language': 'Lingua',
+    'setting.language.auto': 'Automatica',
+    'setting.language.en': 'English',
+    'setting.language.sq': 'Shqip',
+    'setting.language.it': 'Italiano',
+    'setting.language.de': 'Deutsch',
+    'setting.units': 'Unità',
+    'setting.units.metric': 'Metriche (km/h, m)',
+    'setting.units.imperial': 'Imperiali (mph, ft, mi)',
+    'setting.palette': 'Colori',
+    'setting.palette.standard': 'Standard',
+    'setting.palette.colorblind': 'Adatti ai daltonici',
+    'setting.palette.contrast': 'Alto contrasto',
+    'setting.markers': 'Simboli dei veicoli',
+    'setting.markers.off': 'No',
+    'setting.markers.on': 'Sì',
+    'setting.reduceMotion': 'Riduci movimento',
+    'setting.reduceMotion.off': 'No',
+    'setting.reduceMotion.on': 'Sì',
+    'setting.sprites': 'Disegno delle auto',
+    'setting.sprites.on': 'Sprite in cache',
+    'setting.sprites.off': 'Vettoriale (più lento)',
+    'setting.quality': 'Grafica',
+    'setting.quality.auto': 'Automatica',
+    'setting.quality.high': 'Alta',
+    'setting.quality.medium': 'Media',
+    'setting.quality.low': 'Bassa',
+    'setting.quality.lowest': 'Minima',
+    'setting.volume': 'Volume',
+    'setting.music': 'Musica',
+    'setting.effects': 'Effetti',
+
+    // Controls screen
+    'controls.title': 'Comandi',
+    'controls.hint': '▲ ▼ per scegliere • <strong>OK</strong> poi premi il nuovo tasto • <strong>Back</strong> per uscire',
+    'controls.profile': 'Profilo telecomando: {name}',
+    'controls.press': 'Premi un tasto…',
+    'action.left': 'Sterza a sinistra',
+    'action.right': 'Sterza a destra',
+    'action.up': 'Accelera',
+    'action.down': 'Rallenta',
+    'action.boost': 'Turbo',
+    'action.pause': 'Pausa',
+    'action.restart': 'Ricomincia',
+    'action.controls': 'Comandi',
+    'action.stats': 'Statistiche',
+
+    // Key names on the Controls screen and the menu hint (keys.js)
+    'key.space': 'Spazio',
+    'key.enter': 'OK/Invio',
+    'key.esc': 'Esc',
+    'key.backspace': 'Backspace',
+    'key.back': 'Back',
+    'key.red': 'Rosso',
+    'key.green': 'Verde',
+    'key.yellow': 'Giallo',
+    'key.blue': 'Blu',
+    'key.playPause': 'Play/Pausa',
+    'key.play': 'Play',
+    'key.pause': 'Pausa',
+    'key.code': 'Tasto {code}'
+  };
+})(window);
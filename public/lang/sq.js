@@ -0,0 +1,192 @@
+
+/* Road Runner TV – Albanian strings (see i18n.js and lang/en.js) */
+
+(function (root) {
+  const RR = root.RoadRunner = root.RoadRunner || {};
+  (RR.lang = RR.lang || {}).sq = {
+    // Menu
+    'menu.remote': 'Përdor telekomandën e televizorit:',
+    'menu.steer': '◀ ▶ për të drejtuar',
+    'menu.speed': '▲ ▼ për të rregulluar shpejtësinë',
+    'menu.boost': '<strong>OK/Enter</strong> për turbo',
+    'menu.pause': '<strong>Back/Esc</strong> për pauzë',
+    'menu.gamepad': 'Kontrolluesi: leva për drejtim, këmbëzat për shpejtësinë, <strong>A</strong> për turbo, <strong>Start</strong> për pauzë',
+    'menu.touch': 'Kontrollet me prekje:',
+    'menu.touchSteer': 'Mbaj anën e majtë / të djathtë për të drejtuar, ose tërhiq anash',
+    'menu.touchSpeed': 'Rrëshqit ▲ ▼ për të rregulluar shpejtësinë',
+    'menu.touchBoost': '<strong>Prek</strong> për turbo (edhe gjatë drejtimit)',
+    'menu.touchPause': '<strong>❚❚</strong> për pauzë',
+    'menu.touchModes': 'Prek ◀ ose ▶ për të ndryshuar mënyrën (2 lojtarë kërkon një gamepad për lojtarin 2)',
+    'menu.versus': '2 lojtarë: ekran i ndarë, lojtari 2 me kontrollues ose <strong>W A S D</strong> + <strong>Q</strong> për turbo',
+    'menu.rooms': 'Dhoma online',
+    'menu.start': 'Shtyp <strong>OK/Enter</strong> për të filluar • <strong>▼</strong> për Cilësimet',
+    'menu.tapStart': '<strong>Prek</strong> për të filluar',
+    'menu.keys': '{profile}: {controls} ndryshon butonat, {restart} rinis',
+
+    // Modes under ◀ ▶
+    'mode.solo': '1 lojtar',
+    'mode.versus': '2 lojtarë',
+    'mode.room': 'Online: {room}',
+    'mode.roomPlayers': { one: 'Online: {room} ({n} lojtar)', other: 'Online: {room} ({n} lojtarë)' },
+    'mode.newRoom': 'Online: dhomë e re',
+    'mode.continue': 'Vazhdo garën: faza {stage}, {distance}',
+
+    // Pause, stage clear, game over
+    'pause.title': 'Në pauzë',
+    'pause.label': 'Pauzë',
+    'pause.resume': 'Shtyp <strong>OK/Enter</strong> për të vazhduar • <strong>▼</strong> për Cilësimet',
+    'pause.tapResume': '<strong>Prek</strong> për të vazhduar',
+    'clear.title': 'Faza u kalua!',
+    'clear.stats': 'Faza {stage}: {name} • Koha: {time} • Karburant shtesë: +{fuel}%',
+    'clear.next': 'Shtyp <strong>OK/Enter</strong> për fazën tjetër',
+    'clear.tapNext': '<strong>Prek</strong> për fazën tjetër',
+    'over.title': 'Loja mbaroi',
+    'over.stats': 'Faza {stage} • Distanca: {distance} • Shpejtësia maksimale: {speed}',
+    'over.newBest': 'Rekord i ri personal!',
+    'over.best': 'Rekordi personal: {distance}',
+    'over.score': 'Pikë: {score}',
+    'over.overtakes': { one: '{n} parakalim: {points}', other: '{n} parakalime: {points}' },
+    'over.nearMisses': { one: '{n} shmangie e ngushtë: {points}', other: '{n} shmangie të ngushta: {points}' },
+    'over.speedBonus': 'Bonus shpejtësie: {points}',
+    'over.bestCombo': 'Kombo më e mirë: {n}',
+    'over.draw': 'Barazim!',
+    'over.winner': 'Lojtari {n} fiton me {distance} diferencë',
+    'over.board': 'Garat më të mira',
+    'over.restart': 'Shtyp <strong>OK/Enter</strong> për të rinisur',
+    'over.tapRestart': '<strong>Prek</strong> për të rinisur',
+
+    // HUD
+    'hud.fuel': 'Karburanti: {n}%',
+    'hud.speed': 'Shpejtësia: {speed}',
+    'hud.distance': 'Distanca: {distance}',
+    'hud.lives': { one: '{n} jetë', other: '{n} jetë' },
+    'hud.out': 'Jashtë!',
+    'hud.stage': 'Faza {n}',
+    'hud.progress': 'Përparimi i fazës',
+    'hud.delta': '{delta} ndaj rekordit',
+    'hud.score': 'Pikë: {score}',
+    'hud.combo': 'Kombo {n} ×{multiplier}',
+    'ghost.best': 'Rekordi',
+    'power.shield': 'Mburojë',
+    'power.magnet': 'Magnet karburanti',
+    'power.slow': 'Lëvizje e ngadaltë',
+    'power.tires': 'Goma kundër vajit',
+
+    // Screen reader announcements
+    'say.lowFuel': 'Karburant i ulët',
+    'say.lifeLost': { one: 'Humbe një jetë. Të ka mbetur {n} jetë', other: 'Humbe një jetë. Të kanë mbetur {n} jetë' },
+    'say.wrecked': 'Makina u shkatërrua',
+    'say.paused': 'Në pauzë',
+    'say.resumed': 'Vazhdon',
+    'say.gameOver': 'Loja mbaroi. Distanca: {distance}',
+
+    // Toasts
+    'toast.unranked': 'Cilësimet u ndryshuan gjatë garës: kjo garë nuk do të renditet',
+    'toast.padOn': 'Kontrolluesi u lidh: {name}',
+    'toast.padOff': 'Kontrolluesi u shkëput',
+    'toast.joined': '{name} hyri në garë',
+    'toast.left': '{name} doli nga gara',
+    'toast.dropped': '{name} u shkëput',
+    'toast.raceLost': 'Lidhja me serverin e garës humbi, po rilidhet…',
+    'toast.raceError': 'Online: {message}',
+    'toast.cleared': 'P{n} kaloi {name} • +{fuel}% karburant',
+
+    // Leaderboard
+    'board.player': 'Lojtar',
+    'board.offline': 'Offline: rezultatet ruhen vetëm në këtë televizor',
+    'board.notSaved': 'Rezultati nuk u ruajt: {error}',
+
+    // Settings screen
+    'settings.title': 'Cilësimet',
+    'settings.button': 'Cilësimet',
+    'settings.hint': '▲ ▼ për të zgjedhur • ◀ ▶ për të ndryshuar • <strong>Back</strong> për të dalë',
+    'settings.tapHint': '<strong>Prek</strong> një cilësim për ta ndryshuar',
+    'settings.reset': 'Rikthe parazgjedhjet',
+    'settings.done': 'Gati',
+    'setting.gameSpeed': 'Shpejtësia e lojës',
+    'setting.gameSpeed.slow': 'Ngadalë',
+    'setting.gameSpeed.normal': 'Normale',
+    'setting.gameSpeed.fast': 'Shpejt',
+    'setting.gameSpeed.turbo': 'Turbo',
+    'setting.steerGain': 'Drejtimi',
+    'setting.steerGain.veryLow': 'Shumë i ulët',
+    'setting.steerGain.low': 'I ulët',
+    'setting.steerGain.normal': 'Normal',
+    'setting.steerGain.high': 'I lartë',
+    'setting.steerGain.veryHigh': 'Shumë i lartë',
+    'setting.deadZone': 'Zona e vdekur e levës',
+    'setting.deadZone.verySmall': 'Shumë e vogël',
+    'setting.deadZone.small': 'E vogël',
+    'setting.deadZone.normal': 'Normale',
+    'setting.deadZone.large': 'E madhe',
+    'setting.deadZone.veryLarge': 'Shumë e madhe',
+    'setting.difficulty': 'Vështirësia',
+    'setting.difficulty.easy': 'E lehtë',
+    'setting.difficulty.normal': 'Normale',
+    'setting.difficulty.hard': 'E vështirë',
+    'setting.crashMode': 'Përplasjet',
+    'setting.crashMode.classic': 'Klasike (ngadalëson)',
+    'setting.crashMode.arcade': 'Arkadë (shkatërrim dhe rinisje)',
+    'setting.language': 'Gjuha',
+    'setting.language.auto': 'Automatike',
+    'setting.language.en': 'English',
+    'setting.language.sq': 'Shqip',
+    'setting.language.it': 'Italiano',
+    'setting.language.de': 'Deutsch',
+    'setting.units': 'Njësitë',
+    'setting.units.metric': 'Metrike (km/h, m)',
+    'setting.units.imperial': 'Imperiale (mph, ft, mi)',
+    'setting.palette': 'Ngjyrat',
+    'setting.palette.standard': 'Standarde',
+    'setting.palette.colorblind': 'Për daltonikë',
+    'setting.palette.contrast': 'Kontrast i lartë',
+    'setting.markers': 'Simbolet e makinave',
+    'setting.markers.off': 'Joaktive',
+    'setting.markers.on': 'Aktive',
+    'setting.reduceMotion': 'Më pak lëvizje',
+    'setting.reduceMotion.off': 'Joaktive',
+    'setting.reduceMotion.on': 'Aktive',
+    'setting.sprites': 'Vizatimi i makinave',
+    'setting.sprites.on': 'Sprite të ruajtura',
+    'setting.sprites.off': 'Vektoriale (më e ngadaltë)',
+    'setting.quality': 'Grafika',
+    'setting.quality.auto': 'Automatike',
+    'setting.quality.high': 'E lartë',
+    'setting.quality.medium': 'Mesatare',
+    'setting.quality.low': 'E ulët',
+    'setting.quality.lowest': 'Më e ulëta',
+    'setting.volume': 'Volumi',
+    'setting.music': 'Muzika',
+    'setting.effects': 'Efektet',
+
+    // Controls screen
+    'controls.title': 'Kontrollet',
+    'controls.hint': '▲ ▼ për të zgjedhur • <strong>OK</strong> pastaj shtyp butonin e ri • <strong>Back</strong> për të dalë',
+    'controls.profile': 'Profili i telekomandës: {name}',
+    'controls.press': 'Shtyp një buton…',
+    'action.left': 'Majtas',
+    'action.right': 'Djathtas',
+    'action.up': 'Shpejto',
+    'action.down': 'Ngadalëso',
+    'action.boost': 'Turbo',
+    'action.pause': 'Pauzë',
+    'action.restart': 'Rinis',
+    'action.controls': 'Kontrollet',
+    'action.stats': 'Statistikat',
+
+    // Key names on the Controls screen and the menu hint (keys.js)
+    'key.space': 'Hapësirë',
+    'key.enter': 'OK/Enter',
+    'key.esc': 'Esc',
+    'key.backspace': 'Backspace',
+    'key.back': 'Back',
+    'key.red': 'E kuqe',
+    'key.green': 'E gjelbër',
+    'key.yellow': 'E verdhë',
+    'key.blue': 'Blu',
+    'key.playPause': 'Luaj/Pauzë',
+    'key.play': 'Luaj',
+    'key.pause': 'Pauzë',
+    'key.code': 'Tasti {code}'
+  };
+})(window);
@@ -0,0 +1,201 @@
+
+/* Road Runner TV – level format
+   Levels are JSON files in public/levels/ (index.json lists them in play
+   order). This module validates them with readable errors and loads them in
+   the browser, from /api/levels when server.js is serving the game or straight
+   from the static folder otherwise. Runs in Node too (server/levels.js).
+
+   Level, version 1:
+     version     1
+     id          "coast-road" (a–z, 0–9 and dashes; also the file name)
+     name        shown on the stage-clear screen
+     length      metres to the finish line
+     difficulty  { start, end }  traffic speed/aggression at the start and finish
+     bonusFuel   % fuel for clearing the stage (optional)
+     traffic     { weights: { yellow, red, blue, truck }, maxCars?, spacing?, minGap?, laneSegment? }
+     pickups     { slick?, fuel?, power? }  chance per spawned car (optional; power-ups, see sim.POWER_UPS)
+     road        [{ length, width, lanes, offset, grass? }]  segments, repeated (optional: straight)
+     events      [{ at, type, ... }]  scripted, at a stage distance (optional):
+                   message { text } • traffic { count, car? } • oil { count } • fuel
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./sim.js'));
+  else (root.RoadRunner = root.RoadRunner || {}).levels = factory(root.RoadRunner.sim);
+})(typeof self !== 'undefined' ? self : this, (sim) => {
+  const LEVEL_VERSION = 1;
+  const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+  const CAR_NAMES = Object.keys(sim.CAR_TYPES);
+  const HALF_WORLD = sim.WORLD.w / 2;
+
+  // Allowed fields per object, so typos show up as errors instead of being ignored
+  const FIELDS = {
+    level: ['version', 'id', 'name', 'length', 'difficulty', 'bonusFuel', 'traffic', 'pickups', 'road', 'events'],
+    difficulty: ['start', 'end'],
+    traffic: ['weights', 'maxCars', 'spacing', 'minGap', 'laneSegment'],
+    pickups: ['slick', 'fuel', 'power'],
+    segment: ['length', 'width', 'lanes', 'offset', 'grass'],
+    message: ['at', 'type', 'text'],
+    traffic_event: ['at', 'type', 'count', 'car'],
+    oil: ['at', 'type', 'count'],
+    fuel: ['at', 'type']
+  };
+  const EVENT_FIELDS = { message: FIELDS.message, traffic: FIELDS.traffic_event, oil: FIELDS.oil, fuel: FIELDS.fuel };
+
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+  // Returns a list of readable problems ("road[2].lanes must be …"); empty when valid
+  function validateLevel(level) {
+    const errors = [];
+    const fail = (path, msg) => errors.push(`${path} ${msg}`);
+
+    function number(path, v, min, max, { optional = false, integer = false } = {}) {
+      if (v === undefined && optional) return;
+      if (v === undefined) return fail(path, 'is required');
+      if (typeof v !== 'number' || !Number.isFinite(v) || v < min || v > max || (integer && !Number.isInteger(v))) {
+        fail(path, `must be ${integer ? 'an integer' : 'a number'} from ${min} to ${max} (got ${JSON.stringify(v)})`);
+      }
+    }
+    function string(path, v, max) {
+      if (typeof v !== 'string' || !v.trim() || v.length > max) fail(path, `must be a non-empty string of at most ${max} characters`);
+    }
+    function object(path, v, fields, { optional = false } = {}) {
+      if (v === undefined && optional) return false;
+      if (!isObject(v)) { fail(path, 'must be an object'); return false; }
+      for (const k of Object.keys(v)) {
+        if (!fields.includes(k)) fail(path ? `${path}.${k}` : k, 'is not a known field');
+      }
+      return true;
+    }
+    function list(path, v, max) {
+      if (v === undefined) return false;
+      if (!Array.isArray(v) || !v.length || v.length > max) { fail(path, `must be a list of 1 to ${max} entries`); return false; }
+      return true;
+    }
+
+    if (!object('', level, FIELDS.level)) return ['level must be a JSON object'];
+    if (level.version !== LEVEL_VERSION) {
+      return [`version ${JSON.stringify(level.version)} is not supported (expected ${LEVEL_VERSION})`];
+    }
+    if (typeof level.id !== 'string' || !ID_PATTERN.test(level.id)) {
+      fail('id', 'must be 1–40 lowercase letters, digits or dashes');
+    }
+    string('name', level.name, 40);
+    number('length', level.length, 1000, 10000000);
+    if (object('difficulty', level.difficulty, FIELDS.difficulty)) {
+      number('difficulty.start', level.difficulty.start, 0.5, 5);
+      number('difficulty.end', level.difficulty.end, 0.5, 5);
+    }
+    number('bonusFuel', level.bonusFuel, 0, 100, { optional: true });
+
+    if (object('traffic', level.traffic, FIELDS.traffic)) {
+      const { traffic } = level;
+      if (object('traffic.weights', traffic.weights, CAR_NAMES)) {
+        let total = 0;
+        for (const k of Object.keys(traffic.weights)) {
+          if (!CAR_NAMES.includes(k)) continue;
+          number(`traffic.weights.${k}`, traffic.weights[k], 0, 1000);
+          total += Number(traffic.weights[k]) || 0;
+        }
+        if (!(total > 0)) fail('traffic.weights', `needs at least one weight above 0 (${CAR_NAMES.join(', ')})`);
+      }
+      number('traffic.maxCars', traffic.maxCars, 1, 20, { optional: true, integer: true });
+      number('traffic.spacing', traffic.spacing, 200, 5000, { optional: true });
+      number('traffic.minGap', traffic.minGap, 100, 2000, { optional: true });
+      number('traffic.laneSegment', traffic.laneSegment, 100, 2000, { optional: true });
+    }
+
+    if (object('pickups', level.pickups, FIELDS.pickups, { optional: true })) {
+      number('pickups.slick', level.pickups.slick, 0, 1, { optional: true });
+      number('pickups.fuel', level.pickups.fuel, 0, 1, { optional: true });
+      number('pickups.power', level.pickups.power, 0, 1, { optional: true });
+    }
+
+    if (list('road', level.road, 100)) {
+      level.road.forEach((seg, i) => {
+        const p = `road[${i}]`;
+        if (!object(p, seg, FIELDS.segment)) return;
+        number(`${p}.length`, seg.length, 500, 1000000);
+        number(`${p}.width`, seg.width, 200, 1400);
+        number(`${p}.lanes`, seg.lanes, 1, 6, { integer: true });
+        number(`${p}.offset`, seg.offset, -HALF_WORLD, HALF_WORLD);
+        number(`${p}.grass`, seg.grass, 0, 200, { optional: true });
+        const reach = Math.abs(seg.offset) + seg.width / 2 + (seg.grass ?? sim.GRASS_W);
+        if (reach > HALF_WORLD) fail(p, `sticks out of the ${sim.WORLD.w} px world (|offset| + width / 2 + grass is ${reach}, max ${HALF_WORLD})`);
+        else if (seg.width / seg.lanes < 120) fail(p, `has lanes narrower than 120 px (${Math.floor(seg.width / seg.lanes)})`);
+      });
+    }
+
+    if (list('events', level.events, 200)) {
+      level.events.forEach((ev, i) => {
+        const p = `events[${i}]`;
+        if (!isObject(ev) || !(ev.type in EVENT_FIELDS)) {
+          return fail(`${p}.type`, `must be one of ${Object.keys(EVENT_FIELDS).join(', ')}`);
+        }
+        object(p, ev, EVENT_FIELDS[ev.type]);
+        number(`${p}.at`, ev.at, 0, Number(level.length) || 0);
+        if (ev.type === 'message') string(`${p}.text`, ev.text, 80);
+        if (ev.type === 'traffic' || ev.type === 'oil') number(`${p}.count`, ev.count, 1, 6, { integer: true });
+        if (ev.type === 'traffic' && ev.car !== undefined && !CAR_NAMES.includes(ev.car)) {
+          fail(`${p}.car`, `must be one of ${CAR_NAMES.join(', ')}`);
+        }
+      });
+    }
+    return errors;
+  }
+
+  // index.json: { version: 1, levels: ["coast-road", ...] } in play order
+  function validateIndex(index) {
+    if (!isObject(index) || index.version !== LEVEL_VERSION) return [`index version must be ${LEVEL_VERSION}`];
+    if (!Array.isArray(index.levels) || !index.levels.every(id => typeof id === 'string' && ID_PATTERN.test(id))) {
+      return ['index levels must be a list of level ids'];
+    }
+    return [];
+  }
+
+  // ---------- Browser loading ----------
+  async function getJson(url) {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+    return res.json();
+  }
+
+  // Resolves to the valid levels in play order, or [] when none load (the sim
+  // then plays its built-in level). Invalid levels are skipped with a warning.
+  function createLevelSource({ api = 'api/levels', base = 'levels/' } = {}) {
+    async function fromApi() {
+      const { levels } = await getJson(api);
+      return Promise.all(levels.map(l => getJson(`${api}/${encodeURIComponent(l.id)}`)));
+    }
+    // Static hosts (gh-pages) have no API: read the same files directly
+    async function fromStatic() {
+      const index = await getJson(`${base}index.json`);
+      const errors = validateIndex(index);
+      if (errors.length) throw new Error(errors.join('; '));
+      return Promise.all(index.levels.map(id => getJson(`${base}${id}.json`)));
+    }
+
+    async function load() {
+      let list;
+      try {
+        list = await fromApi();
+      } catch (_) {
+        try {
+          list = await fromStatic();
+        } catch (err) {
+          console.warn(`levels: none loaded (${err.message})`);
+          return [];
+        }
+      }
+      return list.filter((level) => {
+        const errors = validateLevel(level);
+        if (errors.length) console.warn(`levels: skipping ${level && level.id}: ${errors.join('; ')}`);
+        return !errors.length;
+      });
+    }
+
+    return { load };
+  }
+
+  return { LEVEL_VERSION, ID_PATTERN, validateLevel, validateIndex, createLevelSource };
+});
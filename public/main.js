@@ -1,272 +1,323 @@
 
 /* Road Runner TV – simple Road Fighter–style game for TV remotes
-   Controls: Arrow keys | OK/Enter: Boost | Back/Esc: Pause
+   Controls: Arrow keys | OK/Enter: Boost | Back/Esc: Pause (per-remote tables in keys.js)
    Designed for TV browsers: Samsung Tizen, LG webOS, Android TV, Fire TV.
+
+   This file wires the DOM together: input, overlays, recording and the main
+   loop. Game rules live in sim.js, drawing in render.js, the HUD in hud.js.
 */
 
 (() => {
+  const { sim, levels: levelFiles, render, hud: hudModule, scores, gamepad, keys: keyTables, remap, touch, audio, net, bestRun,
+    save: saveModule, settings: settingsModule, units: unitsModule, perf, i18n: i18nModule } = window.RoadRunner;
+
   // ---------- Canvas & Scaling ----------
   const canvas = document.getElementById('game');
-  const ctx = canvas.getContext('2d', { alpha: false });
 
   // Make canvas focusable so TV remotes send key events to it
   canvas.tabIndex = 0;
 
-  const DPR = Math.max(1, Math.min(window.devicePixelRatio || 1, 2));
-  let viewW = 1920, viewH = 1080;        // Virtual resolution
-  let road = { x: 560, w: 800 };         // Road area (centered)
-  let scaleX = 1, scaleY = 1;
-
-  function resize() {
-    const rect = canvas.getBoundingClientRect();
-    canvas.width = Math.floor(rect.width * DPR);
-    canvas.height = Math.floor(rect.height * DPR);
-
-    // Keep a 16:9 virtual layout; scale drawing to canvas
-    const aspect = rect.width / rect.height;
-    if (aspect >= 16/9) {
-      viewH = 1080;
-      viewW = Math.round(viewH * aspect);
-    } else {
-      viewW = 1920;
-      viewH = Math.round(viewW / aspect);
-    }
-    scaleX = canvas.width / viewW;
-    scaleY = canvas.height / viewH;
+  const renderer = render.createRenderer(canvas);
+  window.addEventListener('resize', renderer.resize);
+
+  // ---------- Settings ----------
+  // Player preferences (settings.js); applySetting() puts each change into effect
+  const settings = settingsModule.createSettings({ onChange: (key, value) => applySetting(key, value) });
+  // Player-facing text comes from the language packs (i18n.js)
+  const i18n = i18nModule.createI18n(settings.get('language'));
+  const { t } = i18n;
+  i18n.apply();
+  const units = unitsModule.createUnits(settings.get('units'), i18n.locale);
+  renderer.setSprites(settings.get('sprites'));
+  applyPalette(settings.get('palette'));
+  renderer.setMarkers(settings.get('markers'));
+  applyReducedMotion(settings.get('reduceMotion'));
+
+  // The HUD labels take the players' car colours from the palette
+  function applyPalette(name) {
+    renderer.setPalette(name);
+    renderer.palette.players.forEach((c, i) => document.body.style.setProperty(`--p${i + 1}`, c));
+  }
+  // No screen shake, and no sliding overlays (styles.css)
+  function applyReducedMotion(on) {
+    renderer.setReducedMotion(on);
+    document.body.classList.toggle('reduce-motion', on);
+  }
 
-    // Recenter road
-    road.w = Math.min(900, Math.max(700, viewW * 0.42));
-    road.x = (viewW - road.w) / 2;
+  // ---------- Performance ----------
+  // Stats overlay for support (remote key; stays on across reloads) and
+  // adaptive render quality, unless the Graphics setting holds one level
+  const STATS_KEY = 'rr.stats';
+  const perfMonitor = perf.createPerfMonitor({ el: document.getElementById('perf') });
+  const quality = perf.createAdaptiveQuality({ apply: (level) => renderer.setQuality(perf.QUALITY[level]) });
+  quality.setMode(settings.get('quality'));
+  perfMonitor.show(readPref(STATS_KEY) === '1');
+
+  function toggleStats() {
+    perfMonitor.toggle();
+    writePref(STATS_KEY, perfMonitor.shown ? 1 : 0);
   }
-  resize();
-  window.addEventListener('resize', resize);
 
   // ---------- DOM: HUD & Overlays ----------
   const overlay = document.getElementById('overlay');
   const panelMenu = document.getElementById('menu');
   const panelPause = document.getElementById('pause');
   const panelOver  = document.getElementById('gameover');
+  const panelClear = document.getElementById('stageclear');
+  const panelControls = document.getElementById('controls');
+  const panelSettings = document.getElementById('settings');
+  const controlsHint  = document.getElementById('controls-hint');
   const finalStats = document.getElementById('final-stats');
-  const fuelEl  = document.getElementById('fuel');
-  const speedEl = document.getElementById('speed');
-  const distEl  = document.getElementById('distance');
-  const livesEl = document.getElementById('lives');
-
-  // ---------- Helpers ----------
-  const rnd = (min, max) => Math.random() * (max - min) + min;
-  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
-  const aabb = (a, b) => a && b && a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
-
-  // === Vector drawing helpers (for nicer car visuals) ===
-  function drawRoundedRectPath(ctx, x, y, w, h, r) {
-    r = Math.max(0, Math.min(r, Math.min(w, h) * 0.5));
-    ctx.beginPath();
-    ctx.moveTo(x + r, y);
-    ctx.arcTo(x + w, y,     x + w, y + h, r);
-    ctx.arcTo(x + w, y + h, x,     y + h, r);
-    ctx.arcTo(x,     y + h, x,     y,     r);
-    ctx.arcTo(x,     y,     x + w, y,     r);
-    ctx.closePath();
-  }
-  function shade(hex, amt) {
-    const n = hex.startsWith('#') ? hex.slice(1) : hex;
-    const num = parseInt(n, 16);
-    let r = (num >> 16) & 255;
-    let g = (num >> 8)  & 255;
-    let b = num & 255;
-    const pos = amt > 0;
-    const factor = Math.abs(amt);
-    const mix = pos ? 255 : 0;
-    r = Math.round(r + (mix - r) * factor);
-    g = Math.round(g + (mix - g) * factor);
-    b = Math.round(b + (mix - b) * factor);
-    return `rgb(${r},${g},${b})`;
-  }
-  function drawWheel(ctx, x, y, w, h) {
-    ctx.fillStyle = '#20262b';
-    drawRoundedRectPath(ctx, x, y, w, h, Math.min(w, h) * 0.3);
-    ctx.fill();
-    ctx.fillStyle = '#3a424a';
-    drawRoundedRectPath(ctx, x + w*0.18, y + h*0.2, w*0.64, h*0.6, Math.min(w, h) * 0.22);
-    ctx.fill();
+  const versusResult = document.getElementById('versus-result');
+  const modeSelect = document.getElementById('mode-select');
+  const lobbyEl    = document.getElementById('lobby');
+  const lobbyList  = lobbyEl.querySelector('ul');
+  const stageStats = document.getElementById('stage-stats');
+  const boardEl    = document.getElementById('leaderboard');
+  const boardStatusEl = document.getElementById('leaderboard-status');
+  const toastEl    = document.getElementById('toast');
+  const continueBtn = document.getElementById('continue-btn');
+  const touchPauseBtn = document.getElementById('touch-pause');
+  const hudEl = document.getElementById('hud');
+  const hud = hudModule.createHud(hudEl, { label: 'P1', units, t });
+  const hud2El = hudModule.cloneHudElement(hudEl, 'hud2');
+  hud2El.classList.add('versus-only');
+  const hud2 = hudModule.createHud(hud2El, { label: 'P2', units, t });
+
+  // Screen reader announcements (hud.js); 2P names the player
+  const announcer = hudModule.createAnnouncer(document.getElementById('announcer'));
+  const announce = (text, i = 0) => announcer.say(versus ? `P${i + 1}: ${text}` : text);
+  // Low fuel is said once per dip: again only after climbing back above this
+  const FUEL_REARM = hudModule.LOW_FUEL + 5;
+  const fuelLow = [false, false];
+  function watchFuel(s, i) {
+    if (s.fuel > FUEL_REARM) fuelLow[i] = false;
+    else if (s.fuel <= hudModule.LOW_FUEL && !fuelLow[i] && !s.over) {
+      fuelLow[i] = true;
+      announce(t('say.lowFuel'), i);
+    }
   }
 
+  // ---------- Sound ----------
+  // Autoplay rules: the AudioContext can only start from a user gesture
+  const sound = audio.createAudio();
+  window.addEventListener('keydown', sound.unlock);
+  window.addEventListener('pointerdown', sound.unlock);
+
+  // Only a running game makes noise; paused, menus and hidden tabs are silent
+  const syncSound = () => sound.setMuted(state !== STATE.PLAY || document.hidden);
+
   // ---------- Game State ----------
-  const STATE = { MENU: 0, PLAY: 1, PAUSE: 2, OVER: 3 };
+  const STATE = { MENU: 0, PLAY: 1, PAUSE: 2, OVER: 3, CONTROLS: 4, CLEAR: 5, SETTINGS: 6 };
   let state = STATE.MENU;
 
-  // Global speed knob (lower = slower)
-  const GAME_SPEED = 0.10; // very slow; raise to 0.20–0.50 if you want faster later
-
-  // Traffic density & spacing
-  const MAX_CARS = 8;       // hard cap on simultaneous traffic
-  const SPAWN_BASE = 1100;  // avg spacing between waves (px)
-  const MIN_GAP_Y = 480;    // min vertical gap between cars
-  const LANE_SEGMENT = 420; // per-lane segment height to avoid stacking
-
-  // Steering responsiveness (independent of slow motion)
-  const STEER_GAIN = 0.25;  // try 0.22–0.30 to taste
-
-  // ----- Crash/slowdown behavior -----
-  const CRASH_SLOWDOWN_KMH     = 70;   // how much speed to drop on impact (km/h)
-  const CRASH_MIN_SPEED_KMH    = 40;   // never drop below this
-  const CRASH_FUEL_LOSS        = 10;   // % fuel lost on impact
-  const CRASH_SHAKE_MS         = 250;  // subtle shake duration
-  const CRASH_SIDE_PUSH_PX     = 28;   // slight lateral push L/R
-  const CRASH_INVULN_MS        = 600;  // brief invulnerability after hit
-  const CRASH_TRUCK_MULTIPLIER = 1.4;  // trucks hit harder
-
-  // Initialize to safe defaults (so first frame on menu doesn't crash)
-  let player = null;
-  let cars = [];
-  let slicks = [];
-  let fuelCars = [];
-  let particles = [];
-
-  let distance = 0;
-  let baseSpeed = 0;
-  let scroll = 0;
-  let fuel = 0;
-  let lives = 0;
-  let time = 0;
-  let difficulty = 1;
-  let shakeT = 0;
-
-  function reset() {
-    player = {
-      x: road.x + road.w * 0.5 - 32,
-      y: viewH - 280,
-      w: 64, h: 128,
-      vx: 0, vy: 0,
-
-      // Cruise-control model values
-      speed: 0,            // actual current speed
-      targetSpeed: 120,    // what player wants (Up/Down adjust)
-      maxSpeed: 200,       // very slow top speed
-
-      // Handling
-      accel: 80,
-      turn: 7,
-      slip: 0,
-      boost: 0,
-      hurt: 0              // ms of post-hit invulnerability
-    };
-
-    cars = [];       // traffic
-    slicks = [];     // oil slicks
-    fuelCars = [];   // rainbow fuel cars
-    particles = [];  // simple effects
-
-    distance = 0;
-    baseSpeed = 120; // slower baseline
-    scroll = 0;
-    fuel = 100;      // percentage
-    lives = 3;
-    time = 0;
-    difficulty = 1;
-    shakeT = 0;
-
-    spawnInitial();
-    updateHUD();
-  }
-
-  function spawnInitial() {
-    for (let i = 0; i < 6; i++) spawnCar(-i * 700); // fewer cars pre-populated
-  }
-
-  function spawnCar(yOverride) {
-    const lanes = 4;
-    const laneW = road.w / lanes;
-
-    // Try a few times to find a safe lane & Y
-    for (let attempts = 0; attempts < 6; attempts++) {
-      const laneIndex = Math.floor(rnd(0, lanes));
-      const x = road.x + laneIndex * laneW + laneW * 0.1;
-      const w = laneW * 0.8;
-      const h = 120;
-
-      // Proposed Y (spawn above the screen unless yOverride provided)
-      const baseY = (yOverride ?? -rnd(300, 1000));
-
-      // 1) Global min vertical gap from all cars
-      const tooCloseY = cars.some(c => Math.abs(c.y - baseY) < MIN_GAP_Y);
-      if (tooCloseY) continue;
-
-      // 2) Per-lane segment anti-stacking
-      const seg = Math.floor(baseY / LANE_SEGMENT);
-      const laneHasCarInSegment = cars.some(c =>
-        Math.floor(c.y / LANE_SEGMENT) === seg && c.laneIndex === laneIndex
-      );
-      if (laneHasCarInSegment) continue;
-
-      // Types: yellow (0), red (1), blue (2/3), truck (4) — calmer distribution
-      const r = Math.random();
-      let type = 0;
-      if (r < 0.60) type = 0;
-      else if (r < 0.78) type = 1;
-      else if (r < 0.96) type = 2;
-      else type = 4;
-
-      const speed = rnd(90, 150) * (0.80 + (difficulty - 1) * 0.25) * (type === 4 ? 0.70 : 1);
-
-      cars.push({
-        x, y: baseY, w, h, type, speed,
-        laneIndex, laneTimer: rnd(1.1, 2.6)
-      });
+  // The simulation is created once; each run resets it with a fresh seed
+  const game = sim.createGame();
+  const gameSpeed = () => game.config.gameSpeed;
 
-      // Oil slicks & fuel cars (rarer)
-      if (Math.random() < 0.12) {
-        slicks.push({ x: x + rnd(-20, 20), y: baseY + rnd(240, 720), w: w * 0.5, h: 16 });
-      }
-      if (Math.random() < 0.10) {
-        fuelCars.push({ x: x + rnd(-10, 10), y: baseY - rnd(300, 800), w: w * 0.8, h: 24, t: 0 });
-      }
+  // The settings that change how the sim plays; runs record them (sim.tuningConfig)
+  const tuning = () => ({
+    gameSpeed: settings.get('gameSpeed'), steerGain: settings.get('steerGain'),
+    difficulty: settings.get('difficulty'), crashMode: settings.get('crashMode')
+  });
+  game.configure(tuning());
+
+  // 2P split screen: player 2 drives their own game on the same seed and
+  // levels, paired with player 1's so both race the same road and traffic
+  // (see sim.pairGames and sim.bumpPlayers)
+  const game2 = sim.createGame();
+  game2.configure(tuning());
+  let versus = false; // mode picked on the menu, and of the current run
+
+  // Screen shake feedback (visual only, so it stays out of the sim)
+  const CRASH_SHAKE_MS     = 250;  // subtle shake on a traffic hit
+  const LIFE_LOST_SHAKE_MS = 400;  // out of fuel, life lost
+  const WRECK_SHAKE_MS     = 600;  // arcade crashes: the car is wrecked
+
+  // Levels come from the server or the static levels/ folder (levels.js).
+  // Runs started before they arrive, or when none load, use the built-in level.
+  let levelIds = [];
+  levelFiles.createLevelSource().load().then((list) => {
+    game.setLevels(list);
+    game2.setLevels(list);
+    levelIds = list.map(l => l.id);
+    if (state === STATE.MENU && canContinue()) setMode('continue'); // a run saved on these levels
+    else selectMode(0);
+  });
 
-      return; // success
-    }
-    // No safe spot after attempts: skip this spawn
-  }
+  const newSeed = () => (Date.now() ^ Math.floor(Math.random() * 0x100000000)) >>> 0;
 
-  function spawnWave() {
-    const count = 1 + Math.floor(rnd(0, 2)); // 1–2 cars per wave
-    for (let i = 0; i < count; i++) {
-      const y = -rnd(SPAWN_BASE * 0.7, SPAWN_BASE * 1.3);
-      spawnCar(y);
-    }
+  // ---------- Input ----------
+  // Each source keeps its own state; readInput() merges them every frame into
+  // `input`, the one object the sim is stepped with (`input2` for player 2).
+  const keys  = { left: false, right: false, up: false, down: false, boost: false };
+  const input = { left: false, right: false, up: false, down: false, boost: false, steer: 0 };
+  const keys2  = { left: false, right: false, up: false, down: false, boost: false };
+  const input2 = { left: false, right: false, up: false, down: false, boost: false, steer: 0 };
+
+  // OK/Enter (or gamepad A) on an overlay; returns true if it was consumed
+  function confirmAction() {
+    if (state === STATE.MENU || state === STATE.OVER) { startGame(); return true; }
+    if (state === STATE.PAUSE) { resumeGame(); return true; }
+    if (state === STATE.CLEAR) { nextStage(); return true; }
+    return false;
+  }
+  function togglePause() {
+    if (state === STATE.PLAY) pauseGame();
+    else if (state === STATE.PAUSE) resumeGame();
   }
 
-  // ---------- Input ----------
-  const input = { left: false, right: false, up: false, down: false, boost: false };
+  // Remote keys go through the platform profile (plus player remaps) in keys.js
+  const keymap = keyTables.createKeymap({ t });
+  keymap.registerTvKeys();
 
   function handleKey(e, isDown) {
-    const k = (e.key || '').toLowerCase();
-    const kc = e.keyCode;
-
-    if (k === 'arrowleft'  || kc === 37) input.left  = isDown;
-    if (k === 'arrowright' || kc === 39) input.right = isDown;
-    if (k === 'arrowup'    || kc === 38) input.up    = isDown;
-    if (k === 'arrowdown'  || kc === 40) input.down  = isDown;
-
-    // OK/Enter maps to 13 on many TVs; Space works on desktop
-    if (k === 'enter' || kc === 13 || k === 'ok' || k === ' ') input.boost = isDown;
-
-    // Back/Esc to pause
-    if (isDown && (kc === 8 || kc === 27)) {
-      if (state === STATE.PLAY) pauseGame();
-      else if (state === STATE.PAUSE) resumeGame();
-      e.preventDefault();
+    const p2 = versus && keymap.player2ActionFor(e);
+    if (p2) {
+      keys2[p2] = isDown;
+      return e.preventDefault();
     }
-    e.preventDefault(); // avoid scroll on some TV browsers
+    const action = keymap.actionFor(e);
+    if (keyTables.HELD.includes(action)) keys[action] = isDown;
+
+    if (isDown && !e.repeat) {
+      if (state === STATE.MENU && (action === 'left' || action === 'right')) selectMode(action === 'right' ? 1 : -1);
+      else if ((state === STATE.MENU || state === STATE.PAUSE) && action === 'down') openSettings();
+      else if (action === 'pause') togglePause();
+      else if (action === 'restart' && state !== STATE.MENU) startGame();
+      else if (action === 'controls') openControls();
+      else if (action === 'stats') toggleStats();
+    }
+    e.preventDefault(); // avoid scroll (and Back navigation) on some TV browsers
   }
 
   canvas.addEventListener('keydown', (e) => {
-    if (state === STATE.MENU  && (e.key === 'Enter' || e.keyCode === 13)) { startGame(); return e.preventDefault(); }
-    if (state === STATE.OVER  && (e.key === 'Enter' || e.keyCode === 13)) { startGame(); return e.preventDefault(); }
-    if (state === STATE.PAUSE && (e.key === 'Enter' || e.keyCode === 13)) { resumeGame(); return e.preventDefault(); }
+    if (state === STATE.CONTROLS) { controlsScreen.handleKey(e); return e.preventDefault(); }
+    if (state === STATE.SETTINGS) { settingsScreen.handleKey(e); return e.preventDefault(); }
+    if (keymap.isConfirm(e) && confirmAction()) return e.preventDefault();
     handleKey(e, true);
   });
   canvas.addEventListener('keyup', (e) => handleKey(e, false));
 
+  // ---------- Controls screen ----------
+  const controlsScreen = remap.createControlsScreen({ panel: panelControls, keymap, t, onClose: closeControls });
+  let controlsReturn = STATE.MENU;
+
+  function openControls() {
+    if (state === STATE.CONTROLS) return;
+    if (state === STATE.PLAY) pauseGame();
+    for (const k of keyTables.HELD) keys[k] = false; // bindings may change under held keys
+    controlsReturn = state;
+    state = STATE.CONTROLS;
+    controlsScreen.open();
+    showOverlay(panelControls);
+  }
+  function closeControls() {
+    state = controlsReturn;
+    showOverlay(panelFor(state));
+    updateControlsHint();
+  }
+
+  // ---------- Settings screen ----------
+  // ▼ on the menu or pause screen (or the Settings button) opens it
+  const settingsScreen = settingsModule.createSettingsScreen({ panel: panelSettings, settings, sound, keymap, t, onClose: closeSettings });
+  let settingsReturn = STATE.MENU;
+
+  function openSettings() {
+    if (state !== STATE.MENU && state !== STATE.PAUSE) return;
+    for (const k of keyTables.HELD) keys[k] = false; // the key that opened it is still down
+    settingsReturn = state;
+    state = STATE.SETTINGS;
+    settingsScreen.open();
+    showOverlay(panelSettings);
+  }
+  function closeSettings() {
+    state = settingsReturn;
+    showOverlay(panelFor(state));
+  }
+  for (const btn of document.querySelectorAll('.settings-btn')) btn.addEventListener('click', openSettings);
+
+  // Changes apply straight away, mid-run included
+  function applySetting(key, value) {
+    if (key === 'deadZone') return pad.setDeadZone(value);
+    if (key === 'sprites') return renderer.setSprites(value);
+    if (key === 'quality') return quality.setMode(value);
+    if (key === 'palette') return applyPalette(value);
+    if (key === 'markers') return renderer.setMarkers(value);
+    if (key === 'reduceMotion') return applyReducedMotion(value);
+    if (key === 'units' || key === 'language') {
+      if (key === 'units') {
+        units.set(value);
+        selectMode(0); // the continue label has a distance in it
+      } else relabel();
+      hud.update(game.state);
+      hud2.update(game2.state);
+      updateBestDelta();
+      return;
+    }
+    if (playback) return; // replays keep the tuning they were recorded with
+    game.configure(tuning());
+    game2.configure(tuning());
+    // The server replays a ranked run with one tuning from start to finish
+    if (recording) {
+      recording = null;
+      showToast(t('toast.unranked'));
+    }
+  }
+
+  // A new language: static text, plus the text built from code that stays on screen
+  function relabel() {
+    i18n.set(settings.get('language'));
+    i18n.apply();
+    units.setLocale(i18n.locale);
+    updateControlsHint();
+    selectMode(0);
+  }
+
+  function updateControlsHint() {
+    const keysFor = (a) => keymap.labelsFor(a).slice(0, 2).join('/') || '—';
+    controlsHint.textContent = t('menu.keys', { profile: keymap.profileName, controls: keysFor('controls'), restart: keysFor('restart') });
+  }
+
+  // Gamepads: stick steers proportionally, triggers set target speed, A boosts,
+  // Start/B pause. The dead zone is a setting.
+  const pad = gamepad.createGamepadInput({
+    deadZone: settings.get('deadZone'),
+    onConnect: (p) => showToast(t('toast.padOn', { name: p.id.split('(')[0].trim() || 'Gamepad' })),
+    onDisconnect: () => showToast(t('toast.padOff'))
+  });
+
+  // Touch: screen halves / drag steer, swipes set speed, taps boost. The menu
+  // swaps its remote instructions for touch hints once a touch screen shows up.
+  const touchInput = touch.createTouchInput(canvas, { onFirstTouch: enableTouchUi });
+
+  function enableTouchUi() {
+    document.body.classList.add('touch');
+  }
+  touchPauseBtn.addEventListener('click', () => togglePause());
+  overlay.addEventListener('click', (e) => {
+    if (state !== STATE.CONTROLS && state !== STATE.SETTINGS && e.target.tagName !== 'BUTTON') confirmAction();
+  });
+
+  function readInput() {
+    const p = pad.poll();
+    const t = touchInput.poll();
+    const p1Pad = versus ? null : p; // in 2P the gamepad belongs to player 2
+    for (const k of sim.INPUT_KEYS) input[k] = keys[k] || t[k] || (!!p1Pad && p1Pad[k]);
+    // Strongest analog source wins (stick vs. drag)
+    const padSteer = p1Pad ? p1Pad.steer : 0;
+    input.steer = Math.abs(padSteer) > Math.abs(t.steer) ? padSteer : t.steer;
+    if (versus) {
+      for (const k of sim.INPUT_KEYS) input2[k] = keys2[k] || (!!p && p[k]);
+      input2.steer = p ? p.steer : 0;
+    }
+    if (!p) return;
+    for (const action of p.actions) {
+      if (action === 'confirm') confirmAction();
+      else if (action === 'pause') togglePause();
+    }
+  }
+
   function ensureFocus() {
     if (document.activeElement !== canvas) canvas.focus({ preventScroll: true });
   }
@@ -276,477 +327,569 @@
 
   document.addEventListener('visibilitychange', () => {
     if (document.hidden && state === STATE.PLAY) pauseGame();
+    syncSound(); // rAF stops while hidden, so don't wait for the next frame
   });
 
-  // ---------- State Transitions ----------
-  function showOverlay(idToShow) {
-    overlay.classList.add('show');
-    [panelMenu, panelPause, panelOver].forEach(p => p.classList.add('hidden'));
-    idToShow.classList.remove('hidden');
-  }
-  function hideOverlay() { overlay.classList.remove('show'); }
+  // ---------- Recording & Playback ----------
+  // See sim.replay(): a recording is the seed plus every step's dt and input.
+  let recording = null; // { version, seed, levels, frames: [[dt, bits], ...] } for the current run
+  let playback = null;  // { run, i, loop, input } while replaying a saved run
 
-  function startGame() {
-    reset();
-    state = STATE.PLAY;
-    hideOverlay();
-    ensureFocus();
+  function startRecording() {
+    recording = { version: sim.RECORDING_VERSION, seed: game.state.seed, levels: game.state.levelIds.slice(), tuning: tuning(), frames: [] };
   }
-  function pauseGame() {
-    state = STATE.PAUSE;
-    showOverlay(panelPause);
+
+  function getRecording() {
+    return recording && Object.assign({}, recording, { frames: recording.frames.slice() });
   }
-  function resumeGame() {
+
+  function replay(run, opts = {}) {
+    if (typeof run === 'string') run = JSON.parse(run);
+    if (!run || run.version !== sim.RECORDING_VERSION || !Array.isArray(run.frames)) {
+      throw new Error('replay: unsupported recording');
+    }
+    if (String(run.levels || []) !== String(levelIds)) throw new Error('replay: recorded on other levels');
+    setMode('solo'); // recordings are single-player
+    best.stop();
+    playback = { run, i: 0, loop: !!opts.loop, input: sim.decodeInput(0) };
+    recording = null;
+    game.configure(run.tuning);
+    game.pair(null);
+    game.reset(run.seed);
+    hud.update(game.state);
     state = STATE.PLAY;
     hideOverlay();
-    ensureFocus();
-  }
-  function gameOver() {
-    state = STATE.OVER;
-    finalStats.textContent = `Distance: ${Math.floor(distance)} m • Top speed: ${Math.round(topSpeed)} km/h`;
-    showOverlay(panelOver);
   }
 
-  // ---------- Draw ----------
-  function drawRoad() {
-    ctx.save();
-    ctx.scale(scaleX, scaleY);
-
-    ctx.fillStyle = '#0b0f14';
-    ctx.fillRect(0, 0, viewW, viewH);
-
-    ctx.fillStyle = '#15202b';
-    ctx.fillRect(road.x, 0, road.w, viewH);
+  // Loops restart from the seed; otherwise the run ends on the Game Over panel
+  function endReplay() {
+    if (playback.loop) return replay(playback.run, { loop: true });
+    playback = null;
+    if (state !== STATE.OVER) gameOver();
+  }
 
-    ctx.strokeStyle = '#cfd8dc';
-    ctx.lineWidth = 6;
-    ctx.setLineDash([40, 40]);
-    const lanes = 4;
-    for (let i = 1; i < lanes; i++) {
-      const lx = road.x + (road.w / lanes) * i;
-      ctx.beginPath();
-      ctx.moveTo(lx, (scroll % 80) - 80);
-      ctx.lineTo(lx, viewH);
-      ctx.stroke();
-    }
+  function stopReplay() {
+    if (!playback) return;
+    playback.loop = false;
+    endReplay();
+  }
 
-    ctx.fillStyle = '#546e7a';
-    ctx.fillRect(road.x - 12, 0, 12, viewH);
-    ctx.fillRect(road.x + road.w, 0, 12, viewH);
-
-    ctx.restore();
-  }
-
-  // --- Stylized cars (rounded body, wheels, windows, lights) ---
-  function drawCar(c, baseColor, opts = {}) {
-    if (!c) return;
-    const isPlayer = !!opts.isPlayer;
-    const blink    = !!opts.blink;
-
-    const bodyX = c.x, bodyY = c.y, bodyW = c.w, bodyH = c.h;
-    const corner = Math.min(bodyW, bodyH) * 0.18;
-
-    const bodyColor = blink ? shade(baseColor, 0.35) : baseColor;
-    const shadow    = shade(baseColor, -0.45);
-    const highlight = shade(baseColor,  0.25);
-
-    ctx.save();
-    ctx.scale(scaleX, scaleY);
-
-    // Wheels (left/right, front/back)
-    const wheelW = bodyW * 0.22;
-    const wheelH = bodyH * 0.18;
-    const wxL = bodyX - wheelW * 0.35;
-    const wxR = bodyX + bodyW - wheelW * 0.65;
-    const wyF = bodyY + bodyH * 0.12;
-    const wyR = bodyY + bodyH * 0.70;
-    drawWheel(ctx, wxL, wyF, wheelW, wheelH);
-    drawWheel(ctx, wxR, wyF, wheelW, wheelH);
-    drawWheel(ctx, wxL, wyR, wheelW, wheelH);
-    drawWheel(ctx, wxR, wyR, wheelW, wheelH);
-
-    // Body base
-    ctx.fillStyle = bodyColor;
-    drawRoundedRectPath(ctx, bodyX, bodyY, bodyW, bodyH, corner);
-    ctx.fill();
-
-    // Center stripe
-    ctx.fillStyle = shade(baseColor, 0.55);
-    ctx.fillRect(bodyX + bodyW * 0.41, bodyY + bodyH * 0.08, bodyW * 0.036, bodyH * 0.84);
-
-    // Roof / cabin
-    ctx.fillStyle = highlight;
-    const roofX = bodyX + bodyW * 0.14;
-    const roofY = bodyY + bodyH * 0.20;
-    const roofW = bodyW * 0.72;
-    const roofH = bodyH * 0.46;
-    drawRoundedRectPath(ctx, roofX, roofY, roofW, roofH, corner * 0.55);
-    ctx.fill();
-
-    // Windshield (front)
-    ctx.fillStyle = 'rgba(255,255,255,0.18)';
-    const windX = roofX + bodyW * 0.04;
-    const windY = roofY + bodyH * 0.04;
-    const windW = roofW - bodyW * 0.08;
-    const windH = roofH * 0.42;
-    drawRoundedRectPath(ctx, windX, windY, windW, windH, corner * 0.35);
-    ctx.fill();
-
-    // Rear window (smaller)
-    const rearY = roofY + roofH * 0.56;
-    const rearH = roofH * 0.28;
-    drawRoundedRectPath(ctx, windX, rearY, windW, rearH, corner * 0.30);
-    ctx.fill();
-
-    // Headlights / taillights
-    const lightW = bodyW * 0.20, lightH = bodyH * 0.06;
-    // Headlights (top/front)
-    ctx.fillStyle = isPlayer ? '#ffe082' : '#ffd54f';
-    ctx.fillRect(bodyX + bodyW * 0.14, bodyY + bodyH * 0.02, lightW, lightH);
-    ctx.fillRect(bodyX + bodyW * 0.66, bodyY + bodyH * 0.02, lightW, lightH);
-    // Taillights (bottom/rear)
-    ctx.fillStyle = '#ff6b6b';
-    ctx.fillRect(bodyX + bodyW * 0.14, bodyY + bodyH * 0.92, lightW, lightH);
-    ctx.fillRect(bodyX + bodyW * 0.66, bodyY + bodyH * 0.92, lightW, lightH);
-
-    // Side skirts shadow
-    ctx.fillStyle = shadow;
-    ctx.fillRect(bodyX + bodyW * 0.04, bodyY + bodyH * 0.15, bodyW * 0.04, bodyH * 0.70);
-    ctx.fillRect(bodyX + bodyW * 0.92, bodyY + bodyH * 0.15, bodyW * 0.04, bodyH * 0.70);
-
-    ctx.restore();
-  }
-
-  function drawTruck(c) {
-    if (!c) return;
-    const baseTrailer = '#8d6e63';
-    const cabColor    = '#6d4c41';
-
-    ctx.save();
-    ctx.scale(scaleX, scaleY);
-
-    // Sizes
-    const trailerH = c.h * 0.68;
-    const trailerY = c.y + c.h * 0.08;
-    const cabH     = c.h * 0.28;
-    const cabY     = c.y + c.h * 0.70;
-
-    // Trailer
-    ctx.fillStyle = baseTrailer;
-    drawRoundedRectPath(ctx, c.x + c.w * 0.06, trailerY, c.w * 0.88, trailerH, Math.min(c.w, c.h) * 0.12);
-    ctx.fill();
-
-    // Rear doors line
-    ctx.strokeStyle = 'rgba(255,255,255,0.15)';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(c.x + c.w * 0.50, trailerY + trailerH * 0.05);
-    ctx.lineTo(c.x + c.w * 0.50, trailerY + trailerH * 0.95);
-    ctx.stroke();
-
-    // Cab
-    ctx.fillStyle = cabColor;
-    drawRoundedRectPath(ctx, c.x + c.w * 0.18, cabY, c.w * 0.64, cabH, Math.min(c.w, c.h) * 0.10);
-    ctx.fill();
-
-    // Windows on cab
-    ctx.fillStyle = 'rgba(255,255,255,0.18)';
-    drawRoundedRectPath(ctx, c.x + c.w * 0.24, cabY + cabH * 0.18, c.w * 0.52, cabH * 0.52, Math.min(c.w, c.h) * 0.07);
-    ctx.fill();
-
-    // Wheels
-    const wheelW = c.w * 0.20, wheelH = c.h * 0.15;
-    drawWheel(ctx, c.x + c.w * 0.10, trailerY + trailerH * 0.72, wheelW, wheelH);
-    drawWheel(ctx, c.x + c.w * 0.70, trailerY + trailerH * 0.72, wheelW, wheelH);
-    drawWheel(ctx, c.x + c.w * 0.20, cabY + cabH * 0.05, wheelW, wheelH);
-    drawWheel(ctx, c.x + c.w * 0.60, cabY + cabH * 0.05, wheelW, wheelH);
-
-    // Lights
-    ctx.fillStyle = '#ff6b6b';
-    ctx.fillRect(c.x + c.w * 0.12, trailerY + trailerH * 0.94, c.w * 0.18, c.h * 0.05);
-    ctx.fillRect(c.x + c.w * 0.70, trailerY + trailerH * 0.94, c.w * 0.18, c.h * 0.05);
-
-    ctx.restore();
-  }
-
-  // --- Oil slick (glossy, rounded) ---
-  function drawSlick(s) {
-    if (!s) return;
-    ctx.save();
-    ctx.scale(scaleX, scaleY);
-
-    const x = s.x, y = s.y, w = s.w, h = s.h;
-    const r = Math.min(w, h) * 0.5;
-
-    const g = ctx.createLinearGradient(x, y, x, y + h);
-    g.addColorStop(0.0, '#1a1a1a');
-    g.addColorStop(1.0, '#0f1114');
-    ctx.fillStyle = g;
-    drawRoundedRectPath(ctx, x, y, w, h, r * 0.6);
-    ctx.fill();
-
-    ctx.globalAlpha = 0.18;
-    ctx.fillStyle = '#ffffff';
-    drawRoundedRectPath(ctx, x + w * 0.10, y + h * 0.15, w * 0.80, h * 0.30, r * 0.4);
-    ctx.fill();
-    ctx.globalAlpha = 1;
-
-    ctx.restore();
-  }
-
-  // --- Fuel pickup (rainbow capsule) ---
-  function drawFuelCar(f) {
-    if (!f) return;
-    ctx.save();
-    ctx.scale(scaleX, scaleY);
-
-    const x = f.x, y = f.y, w = f.w, h = f.h;
-    const r = Math.min(w, h) * 0.5;
-
-    const grad = ctx.createLinearGradient(x, y, x + w, y);
-    grad.addColorStop(0.00, '#ff5252');
-    grad.addColorStop(0.33, '#ffd54f');
-    grad.addColorStop(0.66, '#4dd0e1');
-    grad.addColorStop(1.00, '#66bb6a');
+  // Next recorded frame, or null once the replay is exhausted
+  function nextPlaybackFrame() {
+    if (playback.i >= playback.run.frames.length) return null;
+    const [dt, bits] = playback.run.frames[playback.i++];
+    return { dt, input: sim.decodeInput(bits, playback.input) };
+  }
 
-    ctx.fillStyle = grad;
-    drawRoundedRectPath(ctx, x, y, w, h, r);
-    ctx.fill();
+  // ---------- Preferences & Toasts ----------
+  function readPref(key) {
+    try { return localStorage.getItem(key); } catch (_) { return null; }
+  }
+  function writePref(key, value) {
+    try { localStorage.setItem(key, String(value)); } catch (_) { /* storage disabled */ }
+  }
 
-    ctx.strokeStyle = 'rgba(255,255,255,0.25)';
-    ctx.lineWidth = 2;
-    drawRoundedRectPath(ctx, x + 1, y + 1, w - 2, h - 2, Math.max(0, r - 1));
-    ctx.stroke();
-
-    ctx.restore();
-  }
-
-  function shake(amount) {
-    if (shakeT <= 0) return;
-    const sx = rnd(-amount, amount) * scaleX;
-    const sy = rnd(-amount, amount) * scaleY;
-    ctx.translate(sx, sy);
+  let toastTimer = 0;
+  function showToast(msg, ms = 2500) {
+    toastEl.textContent = msg;
+    toastEl.classList.add('show');
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(() => toastEl.classList.remove('show'), ms);
   }
 
-  // ---------- Update ----------
-  let last = performance.now();
-  let topSpeed = 0;
-
-  function update(dt) {
-    time += dt;
-    // Difficulty slowly increases (and capped)
-    difficulty = Math.min(1.6, 1 + time * 0.006);
-
-    // ===== Cruise-control speed model =====
-    const dtSec = dt / 1000;
-
-    // Adjust targetSpeed only when holding Up/Down
-    const accelRate = 70;  // km/h per second when holding Up
-    const decelRate = 90;  // km/h per second when holding Down
-    if (input.up)   player.targetSpeed = Math.min(player.maxSpeed, player.targetSpeed + accelRate * dtSec);
-    if (input.down) player.targetSpeed = Math.max(40,               player.targetSpeed - decelRate * dtSec);
-
-    // Small temporary uplift when boosting (not huge)
-    const boostFactor = (player.boost > 0 ? 1.06 : 1.0);
-    const desired = Math.min(player.maxSpeed, player.targetSpeed * boostFactor);
-
-    // Ease actual speed toward desired at a limited rate (prevents rapid surge)
-    const approachPerSec = 60; // km/h per second
-    const delta = desired - player.speed;
-    const step  = Math.sign(delta) * approachPerSec * dtSec;
-    if (Math.abs(delta) <= Math.abs(step)) player.speed = desired;
-    else player.speed += step;
-    topSpeed = Math.max(topSpeed, player.speed);
-
-    // Base road scroll speed (gentle; boost toned down)
-    const scrollSpeed = (baseSpeed + player.speed * 0.16) * (1 + (player.boost > 0 ? 0.08 : 0)) * (dt / 16.666);
-    scroll += scrollSpeed;
-
-    // Fuel drain (per ms; already very slow overall due to GAME_SPEED)
-    const drain = 0.006 + (player.speed / player.maxSpeed) * 0.010 + (input.boost ? 0.008 : 0);
-    fuel = Math.max(0, fuel - drain * dt);
-    if (fuel <= 0 && lives > 0) {
-      lives--;
-      fuel = 60; // refuel partial
-      shakeT = 400;
-    } else if (fuel <= 0 && lives <= 0) {
-      gameOver();
+  // ---------- Leaderboard ----------
+  const leaderboard = scores.createLeaderboard({ limit: 10 });
+  const NAME_KEY = 'rr.playerName';
+
+  const playerName = () => readPref(NAME_KEY) || t('board.player');
+  const setPlayerName = (name) => writePref(NAME_KEY, String(name).trim().slice(0, 16));
+
+  function renderLeaderboard(list, myRank) {
+    boardEl.textContent = '';
+    for (const s of list) {
+      const li = document.createElement('li');
+      li.classList.toggle('me', s.rank === myRank);
+      const name = document.createElement('span');
+      name.className = 'name';
+      name.textContent = s.name;
+      const stats = document.createElement('span');
+      stats.textContent = `${units.distance(s.distance)} • ${units.speed(s.topSpeed)}`;
+      li.append(name, stats);
+      boardEl.appendChild(li);
     }
+  }
 
-    // Steering (responsive even at GAME_SPEED = 0.10)
-    // multiply by (1 / GAME_SPEED) so steering stays snappy.
-    let turn = player.turn;
-    if (player.slip > 0) turn *= 0.35;
-    const steerScale = (STEER_GAIN / Math.max(0.1, GAME_SPEED)) * (1 + player.speed / 300);
-    if (input.left)  player.x -= turn * dt * steerScale;
-    if (input.right) player.x += turn * dt * steerScale;
-    player.x = clamp(player.x, road.x + 8, road.x + road.w - player.w - 8);
-
-    // Boost, slip, and invulnerability timers
-    if (input.boost) player.boost = 90; // shorter burst
-    if (player.boost > 0) player.boost -= dt;
-    if (player.slip  > 0) player.slip  -= dt;
-    if (player.hurt  > 0) player.hurt  -= dt;
-
-    // Move world objects downward (simulate forward motion) — toned down heavily
-    const worldScroll = (player.speed * dt) * 0.28;
-    for (const c of cars) c.y += worldScroll;
-    for (const s of slicks) s.y += worldScroll;
-    for (const f of fuelCars) f.y += worldScroll;
-
-    // AI for traffic (calmer)
-    const lanes = 4;
-    const laneW = road.w / lanes;
-    for (const c of cars) {
-      c.laneTimer -= dt * 0.001;
-
-      if (c.type === 1 && c.laneTimer < 0) { // red: single block (imperfect)
-        const targetLane = Math.floor((player.x - road.x) / laneW);
-        if (Math.random() < 0.65 && targetLane !== c.laneIndex) {
-          c.laneIndex += targetLane > c.laneIndex ? 1 : -1;
-          c.x = road.x + c.laneIndex * laneW + laneW * 0.1;
-        }
-        c.laneTimer = 9999; // only once
-      } else if ((c.type === 2 || c.type === 3) && c.laneTimer < 0) {
-        const dir = Math.random() < 0.5 ? -1 : 1;
-        const nextLane = clamp(c.laneIndex + dir, 0, lanes - 1);
-
-        // Avoid switching if another car is close ahead in the target lane
-        const blocked = cars.some(o =>
-          o !== c && o.laneIndex === nextLane && Math.abs(o.y - c.y) < MIN_GAP_Y * 0.8
-        );
-
-        if (!blocked && Math.random() < 0.6) {
-          c.laneIndex = nextLane;
-          c.x = road.x + c.laneIndex * laneW + laneW * 0.1;
+  // Post the finished run and show where it landed
+  async function submitScore() {
+    const { distance, topSpeed, time } = game.state;
+    boardStatusEl.textContent = '';
+    try {
+      const res = await leaderboard.submit({
+        name: playerName(),
+        distance: Math.floor(distance),
+        topSpeed: Math.round(topSpeed),
+        duration: Math.round(time / gameSpeed()), // ms of real play time
+        // The server re-simulates this to check the numbers above
+        run: {
+          version: recording.version,
+          seed: recording.seed,
+          levels: recording.levels,
+          tuning: recording.tuning,
+          log: sim.compactFrames(recording.frames)
         }
-        c.laneTimer = rnd(1.1, 2.4) / Math.sqrt(difficulty); // calmer frequency
-      }
+      });
+      renderLeaderboard(res.scores, res.rank);
+      if (res.offline) boardStatusEl.textContent = t('board.offline');
+    } catch (err) {
+      boardStatusEl.textContent = t('board.notSaved', { error: err.message });
+      const { scores: list } = await leaderboard.top().catch(() => ({ scores: [] }));
+      renderLeaderboard(list, 0);
     }
+  }
 
-    // Despawn & spawn (respect MAX_CARS)
-    cars = cars.filter(c => c.y < viewH + 220);
-    slicks = slicks.filter(s => s.y < viewH + 60);
-    fuelCars = fuelCars.filter(f => f.y < viewH + 60);
+  // ---------- Online ghosts ----------
+  // Racers in the same room on the race server show up as translucent,
+  // name-tagged cars (net.js). Pure decoration: the sim never sees them.
+  const GHOST_COLOR = '#4dd0e1';
+  const GHOST_ALPHA = 0.45;
+  const newRoomName = () => `room-${Math.floor(Math.random() * 0x10000).toString(16).padStart(4, '0')}`;
+  let freshRoom = newRoomName(); // offered on the menu as "new room"
+
+  const race = net.createRaceClient({
+    onLobby: renderLobby,
+    onPeer: (name, joined, reason) => showToast(t(joined ? 'toast.joined' : reason === 'disconnected' ? 'toast.dropped' : 'toast.left', { name })),
+    onStatus: (online) => {
+      if (!online) showToast(t('toast.raceLost'));
+      renderLobby(race.rooms);
+    },
+    onError: (message) => showToast(t('toast.raceError', { message }))
+  });
 
-    if (cars.length < MAX_CARS) spawnWave();
+  function renderLobby(rooms) {
+    lobbyList.textContent = '';
+    for (const r of rooms) {
+      const li = document.createElement('li');
+      li.classList.toggle('me', r.name === race.room);
+      const name = document.createElement('span');
+      name.className = 'name';
+      name.textContent = r.name;
+      const players = document.createElement('span');
+      players.textContent = r.players.join(', ');
+      li.append(name, players);
+      lobbyList.appendChild(li);
+    }
+    lobbyEl.classList.toggle('hidden', !rooms.length);
+    selectMode(0); // the room list under ◀ ▶ changed
+  }
 
-    // ---- Collisions ----
+  // ---------- Personal best ----------
+  // Live solo runs race a ghost of the furthest run on these levels (bestrun.js)
+  const best = bestRun.createBestRun();
+  const BEST_COLOR = '#ffffff';
+  const BEST_ALPHA = 0.35;
+  const bestPos = {};
+
+  // HUD: metres ahead of (or behind) the best run at the same moment
+  function updateBestDelta() {
+    const pos = best.at(game.state.time, bestPos);
+    hud.setDelta(pos ? game.state.distance - pos.distance : null);
+  }
 
-    // Oil slicks -> short slip
-    for (const s of slicks) {
-      if (aabb(player, s)) {
-        player.slip = 700; // mild skid on oil
+  // The solo view with its ghosts: the personal best and anyone in the room
+  const soloView = [{ state: game.state, others: [] }];
+  const ghostList = [];
+  function soloViews() {
+    if (playback) return game.state;
+    const { others } = soloView[0];
+    others.length = 0;
+    if (best.at(game.state.time, bestPos)) {
+      others.push(Object.assign(sim.ghostRect(game.state, bestPos), { color: BEST_COLOR, alpha: BEST_ALPHA, label: t('ghost.best') }));
+    }
+    if (race.room) {
+      for (const g of race.ghosts(ghostList)) {
+        others.push(Object.assign(sim.ghostRect(game.state, g), { color: GHOST_COLOR, alpha: GHOST_ALPHA, label: g.name }));
       }
     }
+    return soloView;
+  }
 
-    // Fuel pickups
-    for (const f of fuelCars) {
-      if (aabb(player, f)) {
-        fuel = Math.min(100, fuel + 28);
-        f.y = viewH + 1000; // remove
-      }
+  // ---------- Saved run ----------
+  // A live solo run survives the TV closing the app (save.js): saved on pause
+  // and as it goes, and offered on the menu as "Continue run" next time
+  const savedRun = saveModule.createSavedRun({
+    game,
+    extras: () => ({ recording, best: best.samples })
+  });
+
+  const liveSolo = () => !playback && !versus && !game.state.over;
+  const canContinue = () => !!savedRun.saved && String(savedRun.saved.levels) === String(levelIds);
+
+  // Back into the saved run, on the pause panel so the player can get ready.
+  // It keeps its recording (still ranked) unless the settings changed since.
+  function continueRun() {
+    const saved = savedRun.saved;
+    playback = null;
+    setMode('solo');
+    game.configure(tuning());
+    game.pair(null);
+    try {
+      game.restore(saved.game);
+    } catch (err) {
+      console.warn(`save: ${err.message}`);
+      savedRun.clear();
+      return startGame();
     }
+    recording = null;
+    const rec = saved.recording;
+    if (rec && JSON.stringify(rec.tuning) === JSON.stringify(tuning())) {
+      recording = { version: rec.version, seed: rec.seed, levels: rec.levels, tuning: rec.tuning, frames: sim.expandFrames(rec.log) };
+    } else if (rec) {
+      showToast(t('toast.unranked'));
+    }
+    best.start(game.state.levelIds, tuning(), saved.best || []);
+    hud.update(game.state);
+    updateBestDelta();
+    pauseGame();
+  }
+  continueBtn.addEventListener('click', () => {
+    setMode('continue');
+    startGame();
+  });
 
-    // Traffic collisions -> slow down, don't end the game
-    for (const c of cars) {
-      if (!aabb(player, c)) continue;
+  // ---------- State Transitions ----------
+  function showOverlay(idToShow) {
+    touchInput.clear();
+    overlay.classList.add('show');
+    [panelMenu, panelPause, panelOver, panelClear, panelControls, panelSettings].forEach(p => p.classList.add('hidden'));
+    idToShow.classList.remove('hidden');
+  }
+  function panelFor(st) {
+    if (st === STATE.PAUSE) return panelPause;
+    if (st === STATE.OVER) return panelOver;
+    if (st === STATE.CLEAR) return panelClear;
+    return panelMenu;
+  }
+  function hideOverlay() { overlay.classList.remove('show'); }
 
-      // If we're in invulnerability window, ignore further hits
-      if (player.hurt > 0) continue;
+  // Menu ◀ ▶ cycles 1 player, 2 players and, when the race server is up, its
+  // open rooms plus a new one. The split layout shows straight away.
+  let mode = 'solo'; // 'solo' | 'versus' | 'room:<name>'
+  const roomOf = (key) => (key.startsWith('room:') ? key.slice(5) : null);
+
+  function menuModes() {
+    const list = [{ key: 'solo', label: t('mode.solo') }, { key: 'versus', label: t('mode.versus') }];
+    if (canContinue()) list.unshift({ key: 'continue', label: continueLabel() });
+    const names = race.rooms.map(r => r.name);
+    for (const r of race.rooms) list.push({ key: `room:${r.name}`, label: t('mode.roomPlayers', { room: r.name, n: r.players.length }) });
+    if (race.room && !names.includes(race.room)) list.push({ key: `room:${race.room}`, label: t('mode.room', { room: race.room }) });
+    if (race.online && !names.includes(freshRoom)) list.push({ key: `room:${freshRoom}`, label: t('mode.newRoom') });
+    return list;
+  }
 
-      // Trucks hit harder; others normal
-      const hitMult = (c.type === 4) ? CRASH_TRUCK_MULTIPLIER : 1.0;
+  function continueLabel() {
+    const { stage, distance } = savedRun.saved.game.state;
+    return t('mode.continue', { stage: stage.number, distance: units.distance(distance) });
+  }
 
-      // 1) Speed drop (graceful)
-      const drop = CRASH_SLOWDOWN_KMH * hitMult;
-      const targetAfterHit = Math.max(CRASH_MIN_SPEED_KMH, player.speed - drop);
+  function selectMode(step) {
+    const list = menuModes();
+    const i = Math.max(0, list.findIndex(m => m.key === mode));
+    const picked = list[(i + step + list.length) % list.length];
+    mode = picked.key;
+    versus = mode === 'versus';
+    document.body.classList.toggle('split', versus);
+    modeSelect.textContent = `◀  ${picked.label}  ▶`;
+    continueBtn.hidden = !canContinue();
+    if (canContinue()) continueBtn.textContent = continueLabel();
+    if (race.room && race.room !== roomOf(mode)) race.leave();
+  }
+  // Touch: tapping the left or right half of the mode row steps it like ◀ ▶
+  // (and doesn't reach the overlay, where a tap starts the run)
+  modeSelect.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const box = modeSelect.getBoundingClientRect();
+    selectMode(e.clientX < box.left + box.width / 2 ? -1 : 1);
+  });
 
-      // Apply an immediate clamp to *actual* speed…
-      player.speed = Math.max(targetAfterHit, CRASH_MIN_SPEED_KMH);
+  function setMode(key) {
+    mode = key;
+    selectMode(0);
+  }
 
-      // …and bring the targetSpeed down too so cruise-control doesn't yank us back up immediately
-      player.targetSpeed = Math.max(targetAfterHit, player.targetSpeed - drop * 0.6);
+  function startGame() {
+    if (mode === 'continue') return continueRun();
+    playback = null;
+    savedRun.clear(); // a new run replaces the saved one
+    const room = roomOf(mode);
+    if (room && race.room !== room) {
+      race.join(room, playerName());
+      if (room === freshRoom) freshRoom = newRoomName();
+    }
+    const seed = newSeed();
+    game.configure(tuning()); // a replay may have left its own
+    game.reset(seed);
+    hud.update(game.state);
+    if (versus) {
+      game2.reset(seed);
+      sim.pairGames(game, game2);
+      hud2.update(game2.state);
+      recording = null; // 2P races aren't submitted to the leaderboard
+      best.stop();
+    } else {
+      game.pair(null);
+      startRecording();
+      best.start(game.state.levelIds, tuning());
+    }
+    updateBestDelta();
+    state = STATE.PLAY;
+    hideOverlay();
+    ensureFocus();
+  }
+  function pauseGame() {
+    state = STATE.PAUSE;
+    if (liveSolo()) savedRun.save();
+    showOverlay(panelPause);
+    announcer.say(t('say.paused'));
+  }
+  function resumeGame() {
+    state = STATE.PLAY;
+    announcer.say(t('say.resumed'));
+    hideOverlay();
+    ensureFocus();
+  }
+  // Real play time for a sim duration, as m:ss.t
+  function formatTime(simMs) {
+    const tenths = Math.floor(simMs / gameSpeed() / 100);
+    const s = Math.floor(tenths / 10) % 60;
+    return `${Math.floor(tenths / 600)}:${String(s).padStart(2, '0')}.${tenths % 10}`;
+  }
 
-      // 2) Fuel penalty (scaled for trucks)
-      fuel = Math.max(0, fuel - CRASH_FUEL_LOSS * hitMult);
+  const ADVANCE = { advance: true };
 
-      // 3) Feedback: a small shake + lateral nudge + brief "slip"
-      shakeT = Math.max(shakeT, CRASH_SHAKE_MS);
-      player.slip = Math.max(player.slip, 250);
-      player.x += (player.x < c.x ? -CRASH_SIDE_PUSH_PX : CRASH_SIDE_PUSH_PX);
+  // The sim holds still until it gets `advance`; replays carry that step
+  // themselves, so only live runs show the panel
+  function stageClear(ev) {
+    state = STATE.CLEAR;
+    stageStats.textContent = t('clear.stats', { stage: ev.stage, name: ev.name, time: formatTime(ev.time), fuel: ev.bonusFuel });
+    showOverlay(panelClear);
+  }
+  function nextStage() {
+    const bits = sim.encodeInput(ADVANCE);
+    if (recording) recording.frames.push([0, bits]);
+    update(0, sim.decodeInput(bits));
+    state = STATE.PLAY;
+    hideOverlay();
+    ensureFocus();
+  }
 
-      // 4) Brief invulnerability so we don't chain-hit instantly
-      player.hurt = CRASH_INVULN_MS;
+  const statsLine = ({ distance, topSpeed, stage }) =>
+    t('over.stats', { stage: stage.number, distance: units.distance(distance), speed: units.speed(topSpeed) });
 
-      // 5) Keep within road bounds
-      player.x = clamp(player.x, road.x + 8, road.x + road.w - player.w - 8);
-    }
+  const scoreLine = ({ score }) => t('over.score', { score: units.count(score) });
 
-    // Distance accumulation (very slow)
-    distance += (player.speed * dt) * 0.15;
+  // What the score was made of (see sim.js SCORING)
+  function scoreBreakdown({ tally }) {
+    return [
+      t('over.overtakes', { n: tally.overtakes, points: units.count(tally.overtakePoints) }),
+      t('over.nearMisses', { n: tally.nearMisses, points: units.count(tally.nearMissPoints) }),
+      t('over.speedBonus', { points: units.count(tally.speedPoints) }),
+      t('over.bestCombo', { n: tally.bestCombo })
+    ].join(' • ');
+  }
 
-    // Update HUD
-    updateHUD();
+  function gameOver() {
+    state = STATE.OVER;
+    finalStats.textContent = `${statsLine(game.state)}\n${scoreLine(game.state)}\n${scoreBreakdown(game.state)}`;
+    if (!playback) {
+      savedRun.clear();
+      const newBest = best.finish(game.state);
+      if (newBest) finalStats.textContent += `\n${t('over.newBest')}`;
+      else if (best.best) finalStats.textContent += `\n${t('over.best', { distance: units.distance(best.best.distance) })}`;
+      updateBestDelta();
+    }
+    showOverlay(panelOver);
+    // Replays, and runs whose tuning changed, only show the board
+    if (recording) submitScore();
+    else leaderboard.top().then(res => renderLeaderboard(res.scores, 0)).catch(() => {});
   }
 
-  function updateHUD() {
-    fuelEl.textContent = `Fuel: ${Math.round(fuel)}%`;
-    fuelEl.classList.toggle('low', fuel <= 25);
-    fuelEl.classList.toggle('warn', fuel > 25 && fuel <= 45);
-    speedEl.textContent = `Speed: ${Math.round(player.speed)} km/h`;
-    distEl.textContent = `Distance: ${Math.floor(distance)} m`;
-    livesEl.textContent = `Lives: ${lives}`;
+  // Head-to-head: the match ends once both players are out
+  function versusOver() {
+    state = STATE.OVER;
+    const [a, b] = [game.state, game2.state];
+    const gap = Math.floor(a.distance) - Math.floor(b.distance);
+    versusResult.textContent = gap === 0 ? t('over.draw') : t('over.winner', { n: gap > 0 ? 1 : 2, distance: units.distance(Math.abs(gap)) });
+    finalStats.textContent = `P1: ${statsLine(a)} • ${scoreLine(a)}\nP2: ${statsLine(b)} • ${scoreLine(b)}`;
+    showOverlay(panelOver);
+    announcer.say(versusResult.textContent);
   }
 
-  // ---------- Main Loop ----------
-  function frame(t) {
-    const dtRaw = t - last;
-    const dt = Math.min(32, dtRaw) * GAME_SPEED; // clamp & scale once
-    last = t;
+  // ---------- Update ----------
+  // Sound, screen shake and announcements for a sim event in player i's game `s`
+  function feedback(ev, s, i) {
+    sound.onEvent(ev);
+    if (ev.type === 'crash') renderer.addShake(CRASH_SHAKE_MS);
+    else if (ev.type === 'wreck') {
+      renderer.addShake(WRECK_SHAKE_MS);
+      announce(t('say.wrecked'), i);
+    } else if (ev.type === 'lifeLost') {
+      renderer.addShake(LIFE_LOST_SHAKE_MS);
+      announce(t('say.lifeLost', { n: s.lives }), i);
+    } else if (ev.type === 'powerUp') {
+      announce(t(`power.${ev.kind}`), i);
+    } else if (ev.type === 'gameOver') {
+      announce(t('say.gameOver', { distance: units.distance(s.distance) }), i);
+    }
+  }
 
-    if (state === STATE.PLAY) update(dt);
+  // Step the simulation and react to what happened during the step
+  function update(dt, inp) {
+    const s = game.step(dt, inp);
+    for (const ev of s.events) {
+      feedback(ev, s, 0);
+      if (ev.type === 'gameOver') gameOver();
+      else if (ev.type === 'stageClear' && !playback) stageClear(ev);
+      else if (ev.type === 'message') showToast(ev.text);
+    }
+    hud.update(s);
+    watchFuel(s, 0);
+  }
 
-    // Render
-    ctx.save();
-    if (shakeT > 0) { shake(6); shakeT -= dt; }
+  // 2P: step both players (player 1 first: its game runs the shared traffic),
+  // let them bump, then react to both games' events.
+  // There's no stage-clear screen; each player rolls straight into their next stage.
+  const players = [game, game2];
+  function updateVersus(dt) {
+    game.step(dt, input);
+    game2.step(dt, input2);
+    sim.bumpPlayers(game, game2);
+    players.forEach((g, i) => {
+      for (const ev of g.state.events) {
+        feedback(ev, g.state, i);
+        if (ev.type === 'stageClear') showToast(t('toast.cleared', { n: i + 1, name: ev.name, fuel: ev.bonusFuel }));
+        else if (ev.type === 'message') showToast(`P${i + 1}: ${ev.text}`);
+      }
+      if (g.state.stage.cleared) g.step(0, ADVANCE);
+      watchFuel(g.state, i);
+    });
+    hud.update(game.state);
+    hud2.update(game2.state);
+    if (game.state.over && game2.state.over) versusOver();
+  }
 
-    drawRoad();
+  // One split-screen view per player, each showing the other's car when it's in range
+  const views = players.map(g => ({ state: g.state, others: [] }));
+  const rivals = [{}, {}];
+  function versusViews() {
+    views.forEach((view, i) => {
+      const other = players[1 - i].state;
+      const r = sim.rivalRect(view.state, other, rivals[i]);
+      view.others.length = 0;
+      if (r && !other.over) view.others.push(Object.assign(r, { color: renderer.palette.players[1 - i] }));
+    });
+    return views;
+  }
 
-    // Draw oil slicks
-    for (const s of slicks) drawSlick(s);
+  // ---------- Main Loop ----------
+  // The sim steps in fixed ticks whatever the display's refresh rate, so a run
+  // plays the same on 30, 50 and 60Hz panels: each frame banks its time and
+  // runs as many ticks as fit. Drawing blends between the last two ticks.
+  const TICK_MS = 1000 / 60;     // real ms per tick at any game speed
+  const MAX_FRAME_MS = 250;      // longer gaps (tab hidden, GC) are dropped, not caught up
+  const MAX_TICKS = 8;           // per frame; past this a slow device runs slow instead of falling behind
+  const motion = players.map(() => render.createInterpolator());
+  let last = performance.now();
+  let banked = 0;                // sim ms not yet stepped
+
+  // One fixed tick of play
+  function tick(dt) {
+    if (playback) {
+      let f = nextPlaybackFrame();
+      while (f && f.dt === 0 && state === STATE.PLAY) { // stage advances ride along with the next tick
+        update(0, f.input);
+        f = nextPlaybackFrame();
+      }
+      if (f && state === STATE.PLAY) update(f.dt, f.input);
+      if (!f || state === STATE.OVER) endReplay();
+    } else if (versus) {
+      updateVersus(dt);
+    } else {
+      if (recording) recording.frames.push([dt, sim.encodeInput(input)]);
+      update(dt, input);
+      best.record(game.state);
+      if (state === STATE.PLAY && liveSolo()) savedRun.autosave();
+    }
+  }
 
-    // Draw fuel cars
-    for (const f of fuelCars) drawFuelCar(f);
+  // What the stats overlay reports besides frame times
+  function perfStats(views) {
+    const list = Array.isArray(views) ? views : [{ state: views, others: [] }];
+    const count = (key) => list.reduce((n, v) => n + v.state[key].length, 0);
+    const r = renderer.stats();
+    perfMonitor.setCounts({
+      Cars: count('cars'), Slicks: count('slicks'), Fuel: count('fuelCars'), Powers: count('powerUps'),
+      Ghosts: list.reduce((n, v) => n + v.others.length, 0), Sprites: r.sprites
+    });
+    const q = perf.QUALITY[quality.level];
+    perfMonitor.setQuality(`Quality ${q.name}${quality.auto ? ' (auto)' : ''}   ${r.width}×${r.height} @${r.pixelRatio.toFixed(2)}x`);
+  }
 
-    // Draw traffic (stylized)
-    for (const c of cars) {
-      if (c.type === 4) {
-        drawTruck(c);
-      } else {
-        let color = '#f6e05e'; // yellow
-        if (c.type === 1) color = '#ff6b6b';              // red
-        else if (c.type === 2 || c.type === 3) color = '#64b5f6'; // blue
-        drawCar(c, color, { isPlayer: false });
+  function frame(t) {
+    const start = performance.now();
+    const intervalMs = t - last;
+    const frameMs = Math.min(MAX_FRAME_MS, intervalMs);
+    last = t;
+
+    readInput();
+    let alpha = 1;
+    if (state === STATE.PLAY) {
+      const dt = sim.quantizeDt(TICK_MS * gameSpeed());
+      banked += frameMs * gameSpeed();
+      let ticks = 0;
+      while (banked >= dt && state === STATE.PLAY) {
+        if (ticks++ === MAX_TICKS) { banked = 0; break; }
+        players.forEach((g, i) => motion[i].capture(g.state));
+        tick(dt);
+        banked -= dt;
       }
+      if (state === STATE.PLAY) alpha = banked / dt;
+      if (!playback && !versus) updateBestDelta();
+    } else {
+      banked = 0;
     }
+    // Keep the room posted while paused or out too, so the ghost doesn't go stale
+    if (!playback && !versus) race.update(game.state);
 
-    // Draw player (blink while hurt)
-    if (player) {
-      const blinking = player.hurt > 0 && ((performance.now() / 50) % 2 | 0) === 0; // 10Hz
-      const color = '#66bb6a';
-      drawCar(player, color, { isPlayer: true, blink: blinking });
+    syncSound();
+    if (state === STATE.PLAY) {
+      const lead = versus && game.state.over ? game2.state : game.state; // engine follows whoever still drives
+      sound.update(lead, { lowFuel: lead.fuel <= hudModule.LOW_FUEL });
+    }
+    players.forEach((g, i) => motion[i].blend(g.state, alpha));
+    try {
+      const views = versus ? versusViews() : soloViews();
+      renderer.render(views, sim.quantizeDt(Math.min(32, frameMs) * gameSpeed()));
+      if (perfMonitor.shown) perfStats(views);
+    } finally {
+      motion.forEach(m => m.restore());
     }
 
-    ctx.restore();
+    const workMs = performance.now() - start;
+    perfMonitor.frame(intervalMs, workMs);
+    quality.frame(intervalMs, workMs);
     requestAnimationFrame(frame);
   }
 
   // ---------- Boot ----------
+  if (touch.hasTouch()) enableTouchUi();
+  updateControlsHint();
+  if (canContinue()) setMode('continue');
+  else selectMode(0);
+  hud.update(game.state); // index.html's placeholder HUD is English
   showOverlay(panelMenu);
   requestAnimationFrame(frame);
 
   // Expose for console tweaks on TV dev
-  window.__RR = { startGame, pauseGame, resumeGame };
+  window.__RR = { startGame, pauseGame, resumeGame, getRecording, replay, stopReplay, setPlayerName, setDeadZone: (v) => settings.set('deadZone', v), setVolume: sound.setVolume, setMode, game, game2 };
 
 })();
@@ -0,0 +1,195 @@
+
+/* Road Runner TV – online ghost racing client
+   Talks to the WebSocket room server (server/race.js) when server.js is
+   serving the game. Racers in a room see each other as translucent ghosts;
+   nobody's sim is affected, so runs stay replayable and scores verifiable.
+
+   Snapshots arrive ~10 times a second and late by the network. Each one is
+   placed on this client's clock (server stamp minus clock offset minus the
+   sender's own lag), and ghosts are drawn INTERP_DELAY_MS in the past,
+   between two snapshots. When the next snapshot is late they're
+   extrapolated from the last two for a short while, then frozen.
+*/
+
+(function (root) {
+  const SNAPSHOT_MS = 100;
+  const PING_MS = 2000;
+  const INTERP_DELAY_MS = 150;
+  const EXTRAPOLATE_MS = 300;   // at most this far past the newest snapshot
+  const STALE_MS = 2000;        // no snapshot this long: not racing, not drawn
+  const BUFFER = 20;            // snapshots kept per racer (2 s)
+  const RETRY_MS = [1000, 2000, 5000, 10000, 30000];
+  const OFFLINE_AFTER = 3;      // failed first connects before giving up (static hosts have no server)
+
+  const lerp = (a, b, t) => a + (b - a) * t;
+
+  function defaultUrl() {
+    const url = new URL('ws', root.location.href);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    return url.href;
+  }
+
+  // Callbacks, all optional: onLobby(rooms), onPeer(name, joined, reason),
+  // onStatus(online), onError(message) when the server turns a request down
+  function createRaceClient({ url = defaultUrl(), onLobby, onPeer, onStatus, onError } = {}) {
+    let ws = null;
+    let online = false;
+    let everOnline = false;
+    let failures = 0;
+    let retryTimer = 0, pingTimer = 0;
+    let rooms = [];
+    let room = null, name = '';   // room we are (or want to be) in
+    let myId = 0;
+    let lastSent = -Infinity;
+    // Clock: server ms = local ms + offset, measured from the fastest recent ping
+    let offset = 0, bestRtt = Infinity;
+    const peers = new Map();      // id -> { name, snaps: [{ t, x, distance, speed, stage, over }] }
+
+    const send = (msg) => { if (online) ws.send(JSON.stringify(msg)); };
+    const now = () => performance.now();
+
+    function connect() {
+      if (!root.WebSocket || ws) return;
+      try { ws = new WebSocket(url); } catch (_) { return retry(); }
+      ws.onopen = () => {
+        online = everOnline = true;
+        failures = 0;
+        bestRtt = Infinity;
+        ping();
+        pingTimer = setInterval(ping, PING_MS);
+        if (room) send({ type: 'join', room, name }); // back after a drop: rejoin
+        if (onStatus) onStatus(true);
+      };
+      ws.onmessage = (e) => {
+        let msg;
+        try { msg = JSON.parse(e.data); } catch (_) { return; }
+        handle(msg);
+      };
+      ws.onclose = () => {
+        const was = online;
+        ws = null;
+        online = false;
+        clearInterval(pingTimer);
+        peers.clear();
+        rooms = [];
+        if (was && onStatus) onStatus(false);
+        retry();
+      };
+    }
+
+    function retry() {
+      failures++;
+      if (!everOnline && failures >= OFFLINE_AFTER) return; // no race server here
+      clearTimeout(retryTimer);
+      retryTimer = setTimeout(connect, RETRY_MS[Math.min(failures, RETRY_MS.length) - 1]);
+    }
+
+    function ping() { send({ type: 'ping', t: now() }); }
+
+    function handle(msg) {
+      if (msg.type === 'pong') {
+        const t = now();
+        const rtt = t - msg.t;
+        // Slow answers say more about queues than clocks: keep the fastest, and
+        // let it age so a changed route is picked up eventually
+        bestRtt *= 1.05;
+        if (rtt <= bestRtt) {
+          bestRtt = rtt;
+          offset = msg.server - (msg.t + rtt / 2);
+        }
+      } else if (msg.type === 'lobby') {
+        rooms = Array.isArray(msg.rooms) ? msg.rooms : [];
+        if (onLobby) onLobby(rooms);
+      } else if (msg.type === 'joined') {
+        myId = msg.id;
+        peers.clear();
+        for (const p of msg.peers) peers.set(p.id, { name: p.name, snaps: [] });
+      } else if (msg.type === 'peer') {
+        peers.set(msg.id, { name: msg.name, snaps: [] });
+        if (onPeer) onPeer(msg.name, true);
+      } else if (msg.type === 'left') {
+        const p = peers.get(msg.id);
+        peers.delete(msg.id);
+        if (p && onPeer) onPeer(p.name, false, msg.reason);
+      } else if (msg.type === 'snap') {
+        const p = peers.get(msg.id);
+        if (!p || msg.id === myId) return;
+        // When the car was there, on our clock
+        const t = msg.at - offset - msg.lag;
+        const { snaps } = p;
+        if (snaps.length && t <= snaps[snaps.length - 1].t) return; // out of order
+        snaps.push({ t, x: msg.x, distance: msg.distance, speed: msg.speed, stage: msg.stage, over: msg.over });
+        if (snaps.length > BUFFER) snaps.shift();
+      } else if (msg.type === 'error' && onError) {
+        onError(msg.message);
+      }
+    }
+
+    function join(roomName, playerName) {
+      room = roomName;
+      name = playerName;
+      peers.clear();
+      send({ type: 'join', room, name });
+    }
+
+    function leave() {
+      if (!room) return;
+      room = null;
+      peers.clear();
+      send({ type: 'leave' });
+    }
+
+    // Call every frame while racing; sends at most every SNAPSHOT_MS
+    function update(state) {
+      const t = now();
+      if (!room || t - lastSent < SNAPSHOT_MS) return;
+      lastSent = t;
+      send({
+        type: 'snap',
+        x: state.player.x,
+        distance: state.distance,
+        speed: state.player.speed,
+        stage: state.stage.number,
+        over: state.over,
+        lag: Number.isFinite(bestRtt) ? bestRtt / 2 : 0
+      });
+    }
+
+    // Where every racing ghost is now: [{ id, name, x, distance, speed }]
+    function ghosts(out = []) {
+      out.length = 0;
+      const t = now() - INTERP_DELAY_MS;
+      for (const [id, p] of peers) {
+        const { snaps } = p;
+        const n = snaps.length;
+        if (!n) continue;
+        const newest = snaps[n - 1];
+        if (newest.over || t - newest.t > STALE_MS) continue;
+        let i = n - 1;
+        while (i > 0 && snaps[i - 1].t > t) i--;
+        const a = snaps[Math.max(0, i - 1)], b = snaps[i];
+        let x, distance;
+        if (a === b || b.t === a.t) {
+          x = b.x; distance = b.distance;
+        } else {
+          // Past the newest snapshot this runs on from the last two (lag compensation)
+          const k = Math.min((t - a.t) / (b.t - a.t), 1 + EXTRAPOLATE_MS / (b.t - a.t));
+          x = lerp(a.x, b.x, Math.max(0, k));
+          distance = lerp(a.distance, b.distance, Math.max(0, k));
+        }
+        out.push({ id, name: p.name, x, distance, speed: newest.speed });
+      }
+      return out;
+    }
+
+    connect();
+    return {
+      join, leave, update, ghosts,
+      get online() { return online; },
+      get rooms() { return rooms; },
+      get room() { return room; }
+    };
+  }
+
+  (root.RoadRunner = root.RoadRunner || {}).net = { createRaceClient };
+})(window);
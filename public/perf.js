@@ -0,0 +1,169 @@
+
+/* Road Runner TV – performance monitor and adaptive quality
+   The monitor is an on-screen stats box (FPS, frame-time histogram, what is
+   on screen) that support can ask players to switch on with a remote key.
+   Adaptive quality steps the renderer down a level when frames keep missing
+   the panel's refresh, and back up once there's headroom again.
+*/
+
+(function (root) {
+  // Render quality levels, best first (see renderer.setQuality). resolution
+  // scales the canvas' pixel ratio; detail off draws cars as flat boxes.
+  const QUALITY = [
+    { id: 'high',   name: 'High',   resolution: 1,    shake: true,  detail: true },
+    { id: 'medium', name: 'Medium', resolution: 0.75, shake: true,  detail: true },
+    { id: 'low',    name: 'Low',    resolution: 0.6,  shake: false, detail: true },
+    { id: 'lowest', name: 'Lowest', resolution: 0.5,  shake: false, detail: false }
+  ];
+
+  const HISTORY = 120;          // frames the monitor keeps (2 s at 60 fps)
+  const REDRAW_MS = 250;        // the stats box is text; no need to rewrite it every frame
+  const BUCKETS = [[0, 8, '<8'], [8, 17.5, '8-17'], [17.5, 34, '17-33'], [34, 50, '33-50'], [50, Infinity, '50+']];
+  const BAR = 20;               // histogram bar width in characters
+  const GAP_MS = 250;           // a longer frame is a hidden tab or a GC pause, not a slow TV
+
+  function createPerfMonitor({ el }) {
+    const frames = new Float32Array(HISTORY);
+    const works = new Float32Array(HISTORY);
+    let n = 0, head = 0;
+    let shown = false;
+    let lastDraw = 0;
+    let counts = {};
+    let quality = '';
+
+    // intervalMs: since the previous frame; workMs: time spent in this one
+    function frame(intervalMs, workMs) {
+      if (intervalMs > GAP_MS) return;
+      frames[head] = intervalMs;
+      works[head] = workMs;
+      head = (head + 1) % HISTORY;
+      n = Math.min(n + 1, HISTORY);
+      const now = performance.now();
+      if (shown && now - lastDraw >= REDRAW_MS) {
+        lastDraw = now;
+        draw();
+      }
+    }
+
+    function draw() {
+      if (!n) return;
+      let sum = 0, worst = 0, work = 0;
+      const hist = BUCKETS.map(() => 0);
+      for (let i = 0; i < n; i++) {
+        const ms = frames[i];
+        sum += ms;
+        work += works[i];
+        worst = Math.max(worst, ms);
+        hist[BUCKETS.findIndex(([lo, hi]) => ms >= lo && ms < hi)]++;
+      }
+      const lines = [
+        `FPS ${(1000 * n / sum).toFixed(1)}   frame ${(sum / n).toFixed(1)} ms, worst ${worst.toFixed(1)}   work ${(work / n).toFixed(1)} ms`
+      ];
+      BUCKETS.forEach(([, , label], i) => {
+        const share = hist[i] / n;
+        lines.push(`${label.padStart(5)} ms ${'█'.repeat(Math.round(share * BAR)).padEnd(BAR, '·')} ${Math.round(share * 100)}%`);
+      });
+      lines.push(Object.entries(counts).map(([k, v]) => `${k} ${v}`).join('   '));
+      if (quality) lines.push(quality);
+      el.textContent = lines.join('\n');
+    }
+
+    // What's being drawn, e.g. { Cars: 7, Slicks: 2 }
+    function setCounts(c) { counts = c; }
+    // A line about the renderer's current quality
+    function setQuality(text) { quality = text; }
+
+    function show(on) {
+      shown = !!on;
+      el.hidden = !shown;
+      lastDraw = 0;
+      if (shown) draw();
+    }
+
+    return {
+      frame, setCounts, setQuality, show,
+      toggle: () => show(!shown),
+      get shown() { return shown; }
+    };
+  }
+
+  // Judged once a second from the frames in that second, against the panel's
+  // refresh period as seen from its quickest frames (30, 50 and 60Hz TVs all exist).
+  const WINDOW_MS = 1000;
+  const SLOW = 1.5;             // median frame over period × this: missing vsyncs, step down
+  const BUSY = 0.85;            // or work over period × this: a TV that never got 60 fps looks like a 30Hz one
+  const FAST = 1.15;            // median under period × this ...
+  const HEADROOM = 0.5;         // ... and work under period × this: room to step up
+  const SETTLE_MS = 3000;       // good windows in a row before stepping up
+  const RETRY_MS = [5000, 15000, 60000, 300000]; // wait before retrying a level we fell from, per fall
+
+  // apply(level) switches the renderer to QUALITY[level]
+  function createAdaptiveQuality({ apply }) {
+    let level = 0;
+    let auto = true;
+    let windowMs = 0;
+    let period = Infinity;
+    const intervals = [];
+    let work = 0;
+    let goodMs = 0;
+    const falls = QUALITY.map(() => 0);   // times we had to leave each level
+    const retryAt = QUALITY.map(() => 0); // clock ms before we may go back up to it
+    let clock = 0;
+
+    function set(l) {
+      if (l === level) return;
+      level = l;
+      goodMs = 0;
+      apply(level);
+    }
+
+    function frame(intervalMs, workMs) {
+      if (intervalMs > GAP_MS) return;
+      clock += intervalMs;
+      intervals.push(intervalMs);
+      work += workMs;
+      windowMs += intervalMs;
+      if (windowMs < WINDOW_MS) return;
+
+      intervals.sort((a, b) => a - b);
+      const median = intervals[intervals.length >> 1];
+      const meanWork = work / intervals.length;
+      // A low percentile, not the minimum: browsers sometimes fire two frames
+      // back to back. Slowly forgotten so a refresh change on the TV is picked up.
+      period = Math.min(period * 1.02, Math.max(8, intervals[Math.floor(intervals.length / 10)]));
+
+      if (auto) judge(median, meanWork);
+      intervals.length = 0;
+      work = 0;
+      windowMs = 0;
+    }
+
+    function judge(median, meanWork) {
+      if ((median > period * SLOW || meanWork > period * BUSY) && level < QUALITY.length - 1) {
+        retryAt[level] = clock + RETRY_MS[Math.min(falls[level]++, RETRY_MS.length - 1)];
+        set(level + 1);
+      } else if (median < period * FAST && meanWork < period * HEADROOM && level > 0) {
+        goodMs += WINDOW_MS;
+        if (goodMs >= SETTLE_MS && clock >= retryAt[level - 1]) set(level - 1);
+      } else {
+        goodMs = 0;
+      }
+    }
+
+    // 'auto' or a QUALITY id to hold that level
+    function setMode(mode) {
+      const fixed = QUALITY.findIndex(q => q.id === mode);
+      auto = fixed < 0;
+      goodMs = 0;
+      if (!auto) set(fixed);
+    }
+
+    return {
+      frame, setMode,
+      get level() { return level; },
+      get auto() { return auto; }
+    };
+  }
+
+  (root.RoadRunner = root.RoadRunner || {}).perf = { createPerfMonitor, createAdaptiveQuality, QUALITY };
+})(window);
@@ -0,0 +1,76 @@
+
+/* Road Runner TV – Controls (key remapping) screen
+   D-pad list on the overlay: ▲/▼ to pick an action, OK to rebind it by
+   pressing the new key, Back to leave. Bindings persist through keys.js.
+*/
+
+(function (root) {
+  const { ACTIONS } = root.RoadRunner.keys;
+
+  // Arrow keys always navigate lists, whatever the player has remapped
+  const isUp   = (e) => e.key === 'ArrowUp'   || e.keyCode === 38;
+  const isDown = (e) => e.key === 'ArrowDown' || e.keyCode === 40;
+
+  // t: string lookup from i18n.js; each action reads t('action.<name>')
+  function createControlsScreen({ panel, keymap, t, onClose }) {
+    const list = panel.querySelector('.menu-list');
+    const profileEl = panel.querySelector('.profile');
+    const rows = ACTIONS.map(a => ({ action: a, label: `action.${a}` }))
+      .concat([{ id: 'reset', label: 'settings.reset' }, { id: 'done', label: 'settings.done' }]);
+
+    let focus = 0;
+    let listening = null; // action waiting for its new key
+
+    function render() {
+      profileEl.textContent = t('controls.profile', { name: keymap.profileName });
+      list.textContent = '';
+      rows.forEach((row, i) => {
+        const li = document.createElement('li');
+        li.classList.toggle('focused', i === focus);
+        const name = document.createElement('span');
+        name.className = 'name';
+        name.textContent = t(row.label);
+        li.appendChild(name);
+        if (row.action) {
+          const value = document.createElement('span');
+          value.className = 'value';
+          value.textContent = listening === row.action
+            ? t('controls.press')
+            : keymap.labelsFor(row.action).join(', ') || '—';
+          li.appendChild(value);
+        }
+        list.appendChild(li);
+      });
+    }
+
+    function open() {
+      focus = 0;
+      listening = null;
+      render();
+    }
+
+    // Every key goes here while the screen is open
+    function handleKey(e) {
+      if (listening) {
+        if (!keymap.isBack(e)) keymap.setBinding(listening, e);
+        listening = null;
+      } else if (isUp(e)) {
+        focus = (focus + rows.length - 1) % rows.length;
+      } else if (isDown(e)) {
+        focus = (focus + 1) % rows.length;
+      } else if (keymap.isConfirm(e)) {
+        const row = rows[focus];
+        if (row.action) listening = row.action;
+        else if (row.id === 'reset') keymap.resetBindings();
+        else return onClose();
+      } else if (keymap.isBack(e)) {
+        return onClose();
+      }
+      render();
+    }
+
+    return { open, handleKey };
+  }
+
+  (root.RoadRunner = root.RoadRunner || {}).remap = { createControlsScreen };
+})(window);
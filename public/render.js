@@ -0,0 +1,769 @@
+
+/* Road Runner TV – canvas renderer
+   Draws a simulation state (see sim.js) onto the game canvas. Owns screen
+   scaling, split-screen viewports and purely visual effects (shake, blink);
+   never changes game rules.
+*/
+
+(function (root) {
+  const { WORLD, roadAt } = root.RoadRunner.sim;
+
+  const ROAD_STEP = 24;   // px between samples of the road outline
+  const SPRITE_STEP = 4;  // world px: sprite sizes round to this, so lane-width cars share a few sprites
+  const SPRITE_PAD = 8;   // world px around a sprite: wheels stick out of the box
+  const SPRITE_MAX = 96;  // cached sprites before the cache starts over
+
+  // Color schemes (the Colors setting). Traffic colors say how a car behaves:
+  // passive keeps its lane, blocker swerves into yours, changer switches lanes.
+  // colorblind uses the Okabe–Ito set, which stays apart under the common
+  // color vision deficiencies; contrast also rings every car in white.
+  const PALETTES = {
+    standard: {
+      sky: '#0b0f14', grass: '#14261b', road: '#15202b', barrier: '#546e7a', lane: '#cfd8dc',
+      passive: '#f6e05e', blocker: '#ff6b6b', changer: '#64b5f6', truck: ['#8d6e63', '#6d4c41'],
+      players: ['#66bb6a', '#ba68c8'], outline: null
+    },
+    colorblind: {
+      sky: '#0b0f14', grass: '#14261b', road: '#15202b', barrier: '#546e7a', lane: '#cfd8dc',
+      passive: '#f0e442', blocker: '#d55e00', changer: '#56b4e9', truck: ['#8d6e63', '#6d4c41'],
+      players: ['#009e73', '#cc79a7'], outline: null
+    },
+    contrast: {
+      sky: '#000000', grass: '#0d2a0d', road: '#000000', barrier: '#ffffff', lane: '#ffffff',
+      passive: '#ffff00', blocker: '#ff2d2d', changer: '#00b7ff', truck: ['#ff9800', '#b36a00'],
+      players: ['#00ff66', '#ff66ff'], outline: '#ffffff'
+    }
+  };
+
+  // Behaviour of each sim car type (sim.CAR_TYPES); trucks are drawn apart
+  const TRAFFIC = { 0: 'passive', 1: 'blocker', 2: 'changer', 3: 'changer' };
+
+  // === Vector drawing helpers (for nicer car visuals) ===
+  function drawRoundedRectPath(ctx, x, y, w, h, r) {
+    r = Math.max(0, Math.min(r, Math.min(w, h) * 0.5));
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + w, y,     x + w, y + h, r);
+    ctx.arcTo(x + w, y + h, x,     y + h, r);
+    ctx.arcTo(x,     y + h, x,     y,     r);
+    ctx.arcTo(x,     y,     x + w, y,     r);
+    ctx.closePath();
+  }
+  function shade(hex, amt) {
+    const n = hex.startsWith('#') ? hex.slice(1) : hex;
+    const num = parseInt(n, 16);
+    let r = (num >> 16) & 255;
+    let g = (num >> 8)  & 255;
+    let b = num & 255;
+    const pos = amt > 0;
+    const factor = Math.abs(amt);
+    const mix = pos ? 255 : 0;
+    r = Math.round(r + (mix - r) * factor);
+    g = Math.round(g + (mix - g) * factor);
+    b = Math.round(b + (mix - b) * factor);
+    return `rgb(${r},${g},${b})`;
+  }
+  function drawWheel(ctx, x, y, w, h) {
+    ctx.fillStyle = '#20262b';
+    drawRoundedRectPath(ctx, x, y, w, h, Math.min(w, h) * 0.3);
+    ctx.fill();
+    ctx.fillStyle = '#3a424a';
+    drawRoundedRectPath(ctx, x + w*0.18, y + h*0.2, w*0.64, h*0.6, Math.min(w, h) * 0.22);
+    ctx.fill();
+  }
+
+  // === Painters ===
+  // Each draws one object with its top-left at (x, y) in world px: straight
+  // onto the game canvas, or once into a cached sprite.
+
+  // Stylized car (rounded body, wheels, windows, lights)
+  function paintCar(ctx, x, y, w, h, baseColor, isPlayer, blink) {
+    const bodyX = x, bodyY = y, bodyW = w, bodyH = h;
+    const corner = Math.min(bodyW, bodyH) * 0.18;
+
+    const bodyColor = blink ? shade(baseColor, 0.35) : baseColor;
+    const shadow    = shade(baseColor, -0.45);
+    const highlight = shade(baseColor,  0.25);
+
+    // Wheels (left/right, front/back)
+    const wheelW = bodyW * 0.22;
+    const wheelH = bodyH * 0.18;
+    const wxL = bodyX - wheelW * 0.35;
+    const wxR = bodyX + bodyW - wheelW * 0.65;
+    const wyF = bodyY + bodyH * 0.12;
+    const wyR = bodyY + bodyH * 0.70;
+    drawWheel(ctx, wxL, wyF, wheelW, wheelH);
+    drawWheel(ctx, wxR, wyF, wheelW, wheelH);
+    drawWheel(ctx, wxL, wyR, wheelW, wheelH);
+    drawWheel(ctx, wxR, wyR, wheelW, wheelH);
+
+    // Body base
+    ctx.fillStyle = bodyColor;
+    drawRoundedRectPath(ctx, bodyX, bodyY, bodyW, bodyH, corner);
+    ctx.fill();
+
+    // Center stripe
+    ctx.fillStyle = shade(baseColor, 0.55);
+    ctx.fillRect(bodyX + bodyW * 0.41, bodyY + bodyH * 0.08, bodyW * 0.036, bodyH * 0.84);
+
+    // Roof / cabin
+    ctx.fillStyle = highlight;
+    const roofX = bodyX + bodyW * 0.14;
+    const roofY = bodyY + bodyH * 0.20;
+    const roofW = bodyW * 0.72;
+    const roofH = bodyH * 0.46;
+    drawRoundedRectPath(ctx, roofX, roofY, roofW, roofH, corner * 0.55);
+    ctx.fill();
+
+    // Windshield (front)
+    ctx.fillStyle = 'rgba(255,255,255,0.18)';
+    const windX = roofX + bodyW * 0.04;
+    const windY = roofY + bodyH * 0.04;
+    const windW = roofW - bodyW * 0.08;
+    const windH = roofH * 0.42;
+    drawRoundedRectPath(ctx, windX, windY, windW, windH, corner * 0.35);
+    ctx.fill();
+
+    // Rear window (smaller)
+    const rearY = roofY + roofH * 0.56;
+    const rearH = roofH * 0.28;
+    drawRoundedRectPath(ctx, windX, rearY, windW, rearH, corner * 0.30);
+    ctx.fill();
+
+    // Headlights / taillights
+    const lightW = bodyW * 0.20, lightH = bodyH * 0.06;
+    // Headlights (top/front)
+    ctx.fillStyle = isPlayer ? '#ffe082' : '#ffd54f';
+    ctx.fillRect(bodyX + bodyW * 0.14, bodyY + bodyH * 0.02, lightW, lightH);
+    ctx.fillRect(bodyX + bodyW * 0.66, bodyY + bodyH * 0.02, lightW, lightH);
+    // Taillights (bottom/rear)
+    ctx.fillStyle = '#ff6b6b';
+    ctx.fillRect(bodyX + bodyW * 0.14, bodyY + bodyH * 0.92, lightW, lightH);
+    ctx.fillRect(bodyX + bodyW * 0.66, bodyY + bodyH * 0.92, lightW, lightH);
+
+    // Side skirts shadow
+    ctx.fillStyle = shadow;
+    ctx.fillRect(bodyX + bodyW * 0.04, bodyY + bodyH * 0.15, bodyW * 0.04, bodyH * 0.70);
+    ctx.fillRect(bodyX + bodyW * 0.92, bodyY + bodyH * 0.15, bodyW * 0.04, bodyH * 0.70);
+  }
+
+  function paintTruck(ctx, x, y, w, h, [baseTrailer, cabColor]) {
+
+    // Sizes
+    const trailerH = h * 0.68;
+    const trailerY = y + h * 0.08;
+    const cabH     = h * 0.28;
+    const cabY     = y + h * 0.70;
+
+    // Trailer
+    ctx.fillStyle = baseTrailer;
+    drawRoundedRectPath(ctx, x + w * 0.06, trailerY, w * 0.88, trailerH, Math.min(w, h) * 0.12);
+    ctx.fill();
+
+    // Rear doors line
+    ctx.strokeStyle = 'rgba(255,255,255,0.15)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x + w * 0.50, trailerY + trailerH * 0.05);
+    ctx.lineTo(x + w * 0.50, trailerY + trailerH * 0.95);
+    ctx.stroke();
+
+    // Cab
+    ctx.fillStyle = cabColor;
+    drawRoundedRectPath(ctx, x + w * 0.18, cabY, w * 0.64, cabH, Math.min(w, h) * 0.10);
+    ctx.fill();
+
+    // Windows on cab
+    ctx.fillStyle = 'rgba(255,255,255,0.18)';
+    drawRoundedRectPath(ctx, x + w * 0.24, cabY + cabH * 0.18, w * 0.52, cabH * 0.52, Math.min(w, h) * 0.07);
+    ctx.fill();
+
+    // Wheels
+    const wheelW = w * 0.20, wheelH = h * 0.15;
+    drawWheel(ctx, x + w * 0.10, trailerY + trailerH * 0.72, wheelW, wheelH);
+    drawWheel(ctx, x + w * 0.70, trailerY + trailerH * 0.72, wheelW, wheelH);
+    drawWheel(ctx, x + w * 0.20, cabY + cabH * 0.05, wheelW, wheelH);
+    drawWheel(ctx, x + w * 0.60, cabY + cabH * 0.05, wheelW, wheelH);
+
+    // Lights
+    ctx.fillStyle = '#ff6b6b';
+    ctx.fillRect(x + w * 0.12, trailerY + trailerH * 0.94, w * 0.18, h * 0.05);
+    ctx.fillRect(x + w * 0.70, trailerY + trailerH * 0.94, w * 0.18, h * 0.05);
+  }
+
+  // Oil slick (glossy, rounded)
+  function paintSlick(ctx, x, y, w, h) {
+    const r = Math.min(w, h) * 0.5;
+
+    const g = ctx.createLinearGradient(x, y, x, y + h);
+    g.addColorStop(0.0, '#1a1a1a');
+    g.addColorStop(1.0, '#0f1114');
+    ctx.fillStyle = g;
+    drawRoundedRectPath(ctx, x, y, w, h, r * 0.6);
+    ctx.fill();
+
+    ctx.globalAlpha = 0.18;
+    ctx.fillStyle = '#ffffff';
+    drawRoundedRectPath(ctx, x + w * 0.10, y + h * 0.15, w * 0.80, h * 0.30, r * 0.4);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+  }
+
+  // Fuel pickup (rainbow capsule)
+  function paintFuelCar(ctx, x, y, w, h) {
+    const r = Math.min(w, h) * 0.5;
+
+    const grad = ctx.createLinearGradient(x, y, x + w, y);
+    grad.addColorStop(0.00, '#ff5252');
+    grad.addColorStop(0.33, '#ffd54f');
+    grad.addColorStop(0.66, '#4dd0e1');
+    grad.addColorStop(1.00, '#66bb6a');
+
+    ctx.fillStyle = grad;
+    drawRoundedRectPath(ctx, x, y, w, h, r);
+    ctx.fill();
+
+    ctx.strokeStyle = 'rgba(255,255,255,0.25)';
+    ctx.lineWidth = 2;
+    drawRoundedRectPath(ctx, x + 1, y + 1, w - 2, h - 2, Math.max(0, r - 1));
+    ctx.stroke();
+  }
+
+  // Power-up tokens (sim.POWER_UPS): a disc in the kind's color with its
+  // symbol, shield, magnet, hourglass or tire. The HUD's timer icons use it too.
+  const POWER_COLORS = { shield: '#4fc3f7', magnet: '#ef5350', slow: '#ffb74d', tires: '#78909c' };
+  function paintPowerUp(ctx, x, y, w, h, kind) {
+    const r = Math.min(w, h) / 2;
+    const cx = x + w / 2, cy = y + h / 2;
+    const s = r * 0.5;
+    ctx.beginPath();
+    ctx.arc(cx, cy, r - 1.5, 0, Math.PI * 2);
+    ctx.fillStyle = POWER_COLORS[kind];
+    ctx.fill();
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 3;
+    ctx.stroke();
+
+    ctx.beginPath();
+    ctx.fillStyle = '#fff';
+    ctx.lineWidth = s * 0.45;
+    if (kind === 'shield') {
+      ctx.moveTo(cx, cy - s);
+      ctx.lineTo(cx + s, cy - s * 0.6);
+      ctx.lineTo(cx + s * 0.8, cy + s * 0.3);
+      ctx.lineTo(cx, cy + s);
+      ctx.lineTo(cx - s * 0.8, cy + s * 0.3);
+      ctx.lineTo(cx - s, cy - s * 0.6);
+      ctx.closePath();
+      ctx.fill();
+    } else if (kind === 'magnet') {
+      ctx.moveTo(cx + s * 0.7, cy - s);
+      ctx.lineTo(cx + s * 0.7, cy);
+      ctx.arc(cx, cy, s * 0.7, 0, Math.PI);
+      ctx.lineTo(cx - s * 0.7, cy - s);
+      ctx.stroke();
+    } else if (kind === 'slow') {
+      ctx.moveTo(cx - s * 0.7, cy - s);
+      ctx.lineTo(cx + s * 0.7, cy - s);
+      ctx.lineTo(cx - s * 0.7, cy + s);
+      ctx.lineTo(cx + s * 0.7, cy + s);
+      ctx.closePath();
+      ctx.fill();
+    } else if (kind === 'tires') {
+      ctx.arc(cx, cy, s * 0.75, 0, Math.PI * 2);
+      ctx.stroke();
+    }
+  }
+
+  // Car-type marker on the roof, so behaviour doesn't rest on color alone:
+  // ● passive, ■ blocker, ◀▶ lane changer, ▲ truck, + fuel
+  function paintMarker(ctx, x, y, w, h, kind) {
+    const r = Math.min(w, h) * 0.2;
+    const cx = x + w / 2, cy = y + h * 0.45;
+    ctx.beginPath();
+    if (kind === 'passive') {
+      ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    } else if (kind === 'blocker') {
+      ctx.rect(cx - r, cy - r, r * 2, r * 2);
+    } else if (kind === 'changer') {
+      ctx.moveTo(cx - r * 1.3, cy); ctx.lineTo(cx - r * 0.2, cy - r); ctx.lineTo(cx - r * 0.2, cy + r); ctx.closePath();
+      ctx.moveTo(cx + r * 1.3, cy); ctx.lineTo(cx + r * 0.2, cy - r); ctx.lineTo(cx + r * 0.2, cy + r); ctx.closePath();
+    } else if (kind === 'truck') {
+      ctx.moveTo(cx, cy - r * 1.1); ctx.lineTo(cx + r * 1.1, cy + r * 0.8); ctx.lineTo(cx - r * 1.1, cy + r * 0.8); ctx.closePath();
+    } else if (kind === 'fuel') {
+      const a = r * 0.35;
+      ctx.rect(cx - a, cy - r, a * 2, r * 2);
+      ctx.rect(cx - r, cy - a, r * 2, a * 2);
+    }
+    ctx.fillStyle = '#fff';
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 3;
+    ctx.stroke();
+    ctx.fill();
+  }
+
+  // === Render interpolation ===
+  // The sim steps on a fixed tick and frames land between ticks. capture()
+  // before each step remembers where everything was; blend() moves the state
+  // part of the way (alpha 0..1) from there to where the step left it, for
+  // drawing only, and restore() puts it back before the sim sees it again.
+  function createInterpolator() {
+    const prev = new WeakMap();   // object -> { x, y } before the last step
+    const saved = [];             // [object, x, y, ...] then the scalars, moved by blend()
+    let stage = null, time = 0, scroll = 0, distance = 0, stageDistance = 0, finishY = 0;
+
+    const lerp = (a, b, t) => a + (b - a) * t;
+
+    function movers(state, fn) {
+      if (state.player) fn(state.player);
+      for (const o of state.cars) fn(o);
+      for (const o of state.slicks) fn(o);
+      for (const o of state.fuelCars) fn(o);
+      for (const o of state.powerUps) fn(o);
+      for (const o of state.particles) fn(o);
+    }
+
+    function capture(state) {
+      movers(state, (o) => {
+        const p = prev.get(o);
+        if (p) { p.x = o.x; p.y = o.y; } else prev.set(o, { x: o.x, y: o.y });
+      });
+      stage = state.stage;
+      time = state.time;
+      scroll = state.scroll;
+      distance = state.distance;
+      stageDistance = stage ? stage.distance : 0;
+      finishY = stage ? stage.finishY : 0;
+    }
+
+    // Objects spawned by the last step have nothing to blend from; a new game
+    // or stage starts from where it is
+    function blend(state, alpha) {
+      restore();
+      if (alpha >= 1 || !stage || state.stage !== stage) return;
+      movers(state, (o) => {
+        const p = prev.get(o);
+        if (!p) return;
+        saved.push(o, o.x, o.y);
+        o.x = lerp(p.x, o.x, alpha);
+        o.y = lerp(p.y, o.y, alpha);
+      });
+      saved.push(state, state.time, state.scroll, state.distance, stage, stage.distance, stage.finishY);
+      state.time = lerp(time, state.time, alpha);
+      state.scroll = lerp(scroll, state.scroll, alpha);
+      state.distance = lerp(distance, state.distance, alpha);
+      stage.distance = lerp(stageDistance, stage.distance, alpha);
+      stage.finishY = lerp(finishY, stage.finishY, alpha);
+    }
+
+    function restore() {
+      if (!saved.length) return;
+      const [state, t, sc, d, st, sd, fy] = saved.splice(saved.length - 7, 7);
+      state.time = t; state.scroll = sc; state.distance = d; st.distance = sd; st.finishY = fy;
+      for (let i = 0; i < saved.length; i += 3) {
+        saved[i].x = saved[i + 1];
+        saved[i].y = saved[i + 2];
+      }
+      saved.length = 0;
+    }
+
+    return { capture, blend, restore };
+  }
+
+  function createRenderer(canvas) {
+    const ctx = canvas.getContext('2d', { alpha: false });
+
+    const DPR = Math.max(1, Math.min(window.devicePixelRatio || 1, 2));
+    let pixelRatio = DPR;                  // DPR scaled by the quality level's resolution
+    let shakeOn = true, detail = true;     // see setQuality
+    let palette = PALETTES.standard;
+    let markers = false;                   // car-type symbols (setMarkers)
+    let reduceMotion = false;              // no shake or flashing (setReducedMotion)
+    let viewW = 1920, viewH = 1080;        // Virtual resolution
+    let scaleX = 1, scaleY = 1;
+    let offX = 0, offY = 0;                // World placement inside the view
+    let vpX = 0, vpW = 0;                  // Current viewport on the canvas (px)
+    let shakeT = 0;
+
+    function resize() {
+      const rect = canvas.getBoundingClientRect();
+      canvas.width = Math.floor(rect.width * pixelRatio);
+      canvas.height = Math.floor(rect.height * pixelRatio);
+      layout(0, 1);
+      sprites.clear(); // painted for the old scale
+    }
+
+    // Fit viewport i of n side-by-side viewports (2P split screen)
+    function layout(i, n) {
+      vpW = canvas.width / n;
+      vpX = vpW * i;
+
+      // Keep a 16:9 virtual layout; scale drawing to the viewport
+      const aspect = vpW / canvas.height;
+      if (aspect >= 16/9) {
+        viewH = 1080;
+        viewW = Math.round(viewH * aspect);
+      } else {
+        viewW = 1920;
+        viewH = Math.round(viewW / aspect);
+      }
+      scaleX = vpW / viewW;
+      scaleY = canvas.height / viewH;
+
+      // Center the world horizontally; pin it to the bottom so the player keeps
+      // the same distance from the screen edge on tall screens
+      offX = (viewW - WORLD.w) / 2;
+      offY = viewH - WORLD.h;
+    }
+
+    // Map world coordinates onto the canvas
+    function applyView() {
+      ctx.translate(vpX, 0);
+      ctx.scale(scaleX, scaleY);
+      ctx.translate(offX, offY);
+    }
+
+    // ---------- Draw ----------
+    const outline = []; // road shape every ROAD_STEP px down the view, reused per frame
+    const shape = {};   // scratch for roadAt()
+
+    // Road segments (see sim.roadAt): grass shoulders, barriers, lane marks
+    function drawRoad(state) {
+      ctx.save();
+      ctx.translate(vpX, 0);
+      ctx.scale(scaleX, scaleY);
+
+      ctx.fillStyle = palette.sky;
+      ctx.fillRect(0, 0, viewW, viewH);
+
+      ctx.translate(offX, offY);
+      const top = -offY;
+
+      let n = 0;
+      for (let y = top; ; y += ROAD_STEP) {
+        const yy = Math.min(y, WORLD.h);
+        outline[n] = roadAt(state, yy, outline[n] || {});
+        outline[n++].y = yy;
+        if (yy === WORLD.h) break;
+      }
+
+      fillBand(n, (r) => r.x - r.grass, (r) => r.x + r.w + r.grass, palette.grass);
+      fillBand(n, (r) => r.x, (r) => r.x + r.w, palette.road);
+
+      ctx.strokeStyle = palette.barrier;
+      ctx.lineWidth = 12;
+      strokeEdge(n, (r) => r.x - r.grass - 6);
+      strokeEdge(n, (r) => r.x + r.w + r.grass + 6);
+
+      // Lane dashes, 40 px on / 40 off, each end placed on the road at its own y
+      ctx.strokeStyle = palette.lane;
+      ctx.lineWidth = 6;
+      ctx.beginPath();
+      for (let y = top + (state.scroll % 80) - 80; y < WORLD.h; y += 80) {
+        const a = roadAt(state, y, shape);
+        const ax = a.x, aw = a.w, lanes = a.lanes;
+        const b = roadAt(state, y + 40, shape);
+        for (let i = 1; i < lanes; i++) {
+          ctx.moveTo(ax + (aw / lanes) * i, y);
+          ctx.lineTo(b.x + (b.w / lanes) * i, y + 40);
+        }
+      }
+      ctx.stroke();
+
+      ctx.restore();
+    }
+
+    // Fill between two edges of the sampled outline
+    function fillBand(n, left, right, color) {
+      ctx.fillStyle = color;
+      ctx.beginPath();
+      for (let i = 0; i < n; i++) ctx.lineTo(left(outline[i]), outline[i].y);
+      for (let i = n - 1; i >= 0; i--) ctx.lineTo(right(outline[i]), outline[i].y);
+      ctx.closePath();
+      ctx.fill();
+    }
+    function strokeEdge(n, edge) {
+      ctx.beginPath();
+      for (let i = 0; i < n; i++) ctx.lineTo(edge(outline[i]), outline[i].y);
+      ctx.stroke();
+    }
+
+    // --- Checkered finish line across the road ---
+    function drawFinishLine(state) {
+      const SQ = 24;
+      const y = state.stage.finishY;
+      if (y < -offY - SQ * 2 || y > WORLD.h) return; // off screen
+      const road = roadAt(state, y - SQ, shape);
+      ctx.save();
+      applyView();
+      const cols = Math.ceil(road.w / SQ);
+      for (let row = 0; row < 2; row++) {
+        for (let i = 0; i < cols; i++) {
+          ctx.fillStyle = (i + row) % 2 ? '#0b0f14' : '#eceff1';
+          ctx.fillRect(road.x + i * SQ, y - SQ * (2 - row), Math.min(SQ, road.w - i * SQ), SQ);
+        }
+      }
+      ctx.restore();
+    }
+
+    // --- Cars, trucks and pickups ---
+    // Sprites by default; the vector path paints every object every frame.
+    // opts.marker / the marker argument: car-type symbol, shown when markers are on.
+    function drawCar(c, baseColor, opts = {}) {
+      if (!c) return;
+      const isPlayer = !!opts.isPlayer;
+      const blink    = !!opts.blink;
+      if (!detail) return drawBox(c, blink ? shade(baseColor, 0.35) : baseColor, opts.marker);
+      draw(c, `car|${baseColor}|${isPlayer ? 1 : 0}|${blink ? 1 : 0}`, opts.marker, paintCar, baseColor, isPlayer, blink);
+    }
+    function drawTruck(c) {
+      if (!c) return;
+      if (!detail) return drawBox(c, palette.truck[0], 'truck');
+      draw(c, `truck|${palette.truck[0]}`, 'truck', paintTruck, palette.truck);
+    }
+    function drawSlick(s) {
+      if (!s) return;
+      if (!detail) return drawBox(s, '#1a1a1a');
+      draw(s, 'slick', null, paintSlick);
+    }
+    function drawFuelCar(f) {
+      if (!f) return;
+      if (!detail) return drawBox(f, '#ffd54f', 'fuel');
+      draw(f, 'fuel', 'fuel', paintFuelCar);
+    }
+
+    function drawPowerUp(p) {
+      if (!detail) return drawBox(p, POWER_COLORS[p.kind]);
+      draw(p, `power|${p.kind}`, null, paintPowerUp, p.kind);
+    }
+
+    // Wreck debris (arcade crashes): discs that fade out; not at the lowest quality
+    function drawParticles(list) {
+      if (!list.length || !detail) return;
+      ctx.save();
+      applyView();
+      for (const p of list) {
+        ctx.globalAlpha = Math.max(0, p.life / p.ttl);
+        ctx.fillStyle = p.kind === 'fire' ? (p.size > 14 ? '#ff7043' : '#ffca28') : '#9e9e9e';
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, p.size * (p.kind === 'smoke' ? 2 - p.life / p.ttl : 1), 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.restore();
+    }
+
+    // Shield power-up: a bubble around the player's car
+    function drawShield(o) {
+      ctx.save();
+      applyView();
+      ctx.beginPath();
+      ctx.ellipse(o.x + o.w / 2, o.y + o.h / 2, o.w * 0.85, o.h * 0.65, 0, 0, Math.PI * 2);
+      ctx.strokeStyle = POWER_COLORS.shield;
+      ctx.lineWidth = 5;
+      ctx.stroke();
+      ctx.restore();
+    }
+
+    // Spinning cars (o.angle) skip the sprite cache: there are only ever a few
+    function draw(o, look, marker, paint, color, isPlayer, blink) {
+      const m = markers ? marker : null;
+      if (useSprites && !o.angle) blit(sprite(m ? `${look}|${m}` : look, o, paint, color, isPlayer, blink, m), o);
+      else paintWorld(o, paint, color, isPlayer, blink, m);
+    }
+
+    // Lowest quality: one flat rectangle in canvas px (plus the marker, if any)
+    function drawBox(o, color, marker) {
+      ctx.fillStyle = color;
+      ctx.fillRect(
+        Math.round(vpX + (o.x + offX) * scaleX),
+        Math.round((o.y + offY) * scaleY),
+        Math.round(o.w * scaleX),
+        Math.round(o.h * scaleY));
+      if (markers && marker) paintWorld(o, () => {}, null, false, false, marker);
+    }
+
+    function paintWorld(o, paint, color, isPlayer, blink, marker) {
+      ctx.save();
+      applyView();
+      if (o.angle) {
+        const cx = o.x + o.w / 2, cy = o.y + o.h / 2;
+        ctx.translate(cx, cy);
+        ctx.rotate(o.angle);
+        ctx.translate(-cx, -cy);
+      }
+      paint(ctx, o.x, o.y, o.w, o.h, color, isPlayer, blink);
+      decorate(ctx, o.x, o.y, o.w, o.h, marker);
+      ctx.restore();
+    }
+
+    // Over any painter: the palette's outline, then the marker
+    function decorate(g, x, y, w, h, marker) {
+      if (palette.outline) {
+        g.strokeStyle = palette.outline;
+        g.lineWidth = 3;
+        drawRoundedRectPath(g, x, y, w, h, Math.min(w, h) * 0.18);
+        g.stroke();
+      }
+      if (marker) paintMarker(g, x, y, w, h, marker);
+    }
+
+    // --- Sprite cache ---
+    // Each look is painted once per size (in SPRITE_STEP buckets) and canvas
+    // scale, which covers DPR and split-screen layouts. resize() empties it.
+    const sprites = new Map();
+    let useSprites = true;
+
+    function sprite(look, o, paint, color, isPlayer, blink, marker) {
+      const w = Math.max(SPRITE_STEP, Math.round(o.w / SPRITE_STEP) * SPRITE_STEP);
+      const h = Math.max(SPRITE_STEP, Math.round(o.h / SPRITE_STEP) * SPRITE_STEP);
+      const key = `${look}|${w}x${h}|${scaleX.toFixed(4)}|${scaleY.toFixed(4)}`;
+      let img = sprites.get(key);
+      if (img) return img;
+
+      if (sprites.size >= SPRITE_MAX) sprites.clear(); // e.g. a road that keeps changing width
+      img = document.createElement('canvas');
+      img.width = Math.ceil((w + SPRITE_PAD * 2) * scaleX);
+      img.height = Math.ceil((h + SPRITE_PAD * 2) * scaleY);
+      const g = img.getContext('2d');
+      g.scale(scaleX, scaleY);
+      paint(g, SPRITE_PAD, SPRITE_PAD, w, h, color, isPlayer, blink);
+      decorate(g, SPRITE_PAD, SPRITE_PAD, w, h, marker);
+      sprites.set(key, img);
+      return img;
+    }
+
+    // Draw a sprite over object o, stretched from its bucket to o's exact size;
+    // one drawImage in canvas px, no save/transform/restore
+    function blit(img, o) {
+      ctx.drawImage(img,
+        Math.round(vpX + (o.x + offX - SPRITE_PAD) * scaleX),
+        Math.round((o.y + offY - SPRITE_PAD) * scaleY),
+        Math.round((o.w + SPRITE_PAD * 2) * scaleX),
+        Math.round((o.h + SPRITE_PAD * 2) * scaleY));
+    }
+
+    // Perf toggle: false draws vectors every frame, to compare the two paths
+    function setSprites(on) {
+      useSprites = !!on;
+      sprites.clear();
+    }
+
+    // Accessibility settings: PALETTES key, car-type markers, reduced motion
+    function setPalette(name) {
+      palette = PALETTES[name] || PALETTES.standard;
+      sprites.clear(); // outlines are painted in
+    }
+    function setMarkers(on) { markers = !!on; }
+    function setReducedMotion(on) { reduceMotion = !!on; }
+
+    // Adaptive quality (perf.js): { resolution, shake, detail }
+    function setQuality(q) {
+      shakeOn = q.shake;
+      detail = q.detail;
+      const ratio = DPR * q.resolution;
+      if (ratio === pixelRatio) return;
+      pixelRatio = ratio;
+      resize();
+    }
+
+    // For the stats overlay
+    function stats() {
+      return { width: canvas.width, height: canvas.height, pixelRatio, sprites: sprites.size };
+    }
+
+    function shake(amount) {
+      if (shakeT <= 0 || !shakeOn || reduceMotion) return;
+      const sx = (Math.random() * 2 - 1) * amount * scaleX;
+      const sy = (Math.random() * 2 - 1) * amount * scaleY;
+      ctx.translate(sx, sy);
+    }
+
+    // Start (or extend) a screen shake of `ms`
+    function addShake(ms) {
+      shakeT = Math.max(shakeT, ms);
+    }
+
+    // Draw one frame. `views` holds one { state, color, others } per viewport,
+    // side by side; `others` are extra cars ({ x, y, w, h, color, alpha }) such
+    // as the rival in 2P. A bare state draws a single full-screen view.
+    // dt drives the visual timers.
+    function render(views, dt) {
+      if (!Array.isArray(views)) views = [{ state: views }];
+      views.forEach((view, i) => {
+        layout(i, views.length);
+        ctx.save();
+        if (views.length > 1) {
+          ctx.beginPath();
+          ctx.rect(vpX, 0, vpW, canvas.height);
+          ctx.clip();
+        }
+        if (shakeT > 0) shake(6);
+        drawView(view, i);
+        ctx.restore();
+      });
+      if (shakeT > 0) shakeT -= dt;
+
+      // Divider between split-screen viewports
+      ctx.fillStyle = '#000';
+      for (let i = 1; i < views.length; i++) ctx.fillRect(Math.round(vpW * i) - 2 * DPR, 0, 4 * DPR, canvas.height);
+    }
+
+    // i: viewport index; a view without a color draws player i's from the palette
+    function drawView({ state, color, others = [] }, i) {
+      const playerColor = color || palette.players[i];
+      drawRoad(state);
+      drawFinishLine(state);
+
+      // Draw oil slicks
+      for (const s of state.slicks) drawSlick(s);
+
+      // Draw fuel cars and power-ups
+      for (const f of state.fuelCars) drawFuelCar(f);
+      for (const p of state.powerUps) drawPowerUp(p);
+
+      // Draw traffic (stylized)
+      for (const c of state.cars) {
+        if (c.type === 4) {
+          drawTruck(c);
+        } else {
+          const behaviour = TRAFFIC[c.type] || 'passive';
+          drawCar(c, palette[behaviour], { isPlayer: false, marker: behaviour });
+        }
+      }
+
+      // Rival and ghost cars, with a name tag when they have one
+      for (const o of others) {
+        ctx.globalAlpha = o.alpha ?? 1;
+        drawCar(o, o.color, { isPlayer: true });
+        if (o.label) {
+          ctx.save();
+          applyView(); // the tag sits above the car in world space
+          ctx.font = 'bold 22px system-ui, sans-serif';
+          ctx.textAlign = 'center';
+          ctx.fillStyle = '#fff';
+          ctx.fillText(o.label, o.x + o.w / 2, o.y - 10);
+          ctx.restore();
+        }
+        ctx.globalAlpha = 1;
+      }
+
+      // Draw player (blink while hurt; nothing left of it after an explosion)
+      const { player } = state;
+      if (player && player.wreckKind !== 'explode') {
+        // 10Hz; reduced motion shows the hurt tint steadily instead of flashing
+        const blinking = player.hurt > 0 && (reduceMotion || ((performance.now() / 50) % 2 | 0) === 0);
+        drawCar(player, playerColor, { isPlayer: true, blink: blinking });
+        if (state.powers.shield > 0) drawShield(player);
+      }
+      drawParticles(state.particles);
+    }
+
+    resize();
+    return {
+      resize, render, addShake, setSprites, setQuality, stats, setPalette, setMarkers, setReducedMotion,
+      get palette() { return palette; }
+    };
+  }
+
+  (root.RoadRunner = root.RoadRunner || {}).render = { createRenderer, createInterpolator, drawRoundedRectPath, shade, paintPowerUp, PALETTES, POWER_COLORS };
+})(window);
@@ -0,0 +1,151 @@
+
+/* Road Runner TV – suspend and resume
+   TV browsers get killed in the background (Home, then another app), and the
+   run with them. A solo run in progress is kept in localStorage, written on
+   pause and every few seconds of play, and the menu offers to continue it on
+   the next launch. Saves from another version of the game are thrown away.
+*/
+
+(function (root) {
+  const STORAGE_KEY = 'rr.savedRun'; // the run; its logs go in parts under STORAGE_KEY.0, .1, …
+  const VERSION = 2;
+  const AUTOSAVE_MS = 500; // sim ms between saves: 5 s of play at the default game speed
+
+  const { isSnapshot, compactFrames } = root.RoadRunner.sim;
+
+  const partKey = (i) => `${STORAGE_KEY}.${i}`;
+  const isPart = (p) => !!p && Array.isArray(p.log) && Array.isArray(p.best);
+
+  function read(key) {
+    try { return JSON.parse(localStorage.getItem(key) || 'null'); } catch (_) { return null; /* corrupt */ }
+  }
+
+  // false when storage is full or disabled
+  function write(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value));
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  // The run and every part of it
+  function forget() {
+    try {
+      const keys = [];
+      for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
+      for (const key of keys) if (key === STORAGE_KEY || key.startsWith(`${STORAGE_KEY}.`)) localStorage.removeItem(key);
+    } catch (_) { /* storage disabled */ }
+  }
+
+  // { version, levels, game, recording, best, logs, parts } or null, with the
+  // recording's log and the best samples joined up from the parts; anything
+  // this build can't restore is removed on the way
+  function load() {
+    const saved = read(STORAGE_KEY);
+    if (saved && saved.version === VERSION && Array.isArray(saved.levels) && isSnapshot(saved.game) && Number.isInteger(saved.parts)) {
+      const parts = [];
+      for (let i = 0; i < saved.parts; i++) parts.push(read(partKey(i)));
+      if (parts.every(isPart)) {
+        const log = [].concat(...parts.map(p => p.log));
+        const best = [].concat(...parts.map(p => p.best));
+        return Object.assign(saved, {
+          recording: saved.logs && saved.recording ? Object.assign(saved.recording, { log }) : null,
+          best: saved.logs ? best : null
+        });
+      }
+    }
+    if (saved) forget();
+    return null;
+  }
+
+  // game: the solo sim game; extras() returns what else a run needs to go on
+  // as it was: { recording, best }, where recording has its frames and best
+  // is bestrun.js samples; either may be null. Both only grow during a run, so
+  // each save adds a part with what's new (frames compacted, sim.compactFrames)
+  // and rewrites the small run record that counts the parts.
+  function createSavedRun({ game, extras }) {
+    let saved = load();
+    let nextSave = 0;
+    let logs, written, log, best;
+    if (saved) {
+      // Going on from the saved run: its parts stay
+      logs = !!saved.logs;
+      log = saved.recording ? saved.recording.log : [];
+      best = saved.best || [];
+      written = { frames: log.reduce((n, run) => n + run[2], 0), samples: best.length, parts: saved.parts };
+    } else {
+      restart();
+    }
+
+    // logs: whether the parts hold the recording and samples; written: how
+    // much of them they hold; log/best: the same, for `saved`
+    function restart() {
+      logs = true;
+      written = { frames: 0, samples: 0, parts: 0 };
+      log = [];
+      best = [];
+    }
+
+    // Storage full: the logs are the bulk, so keep the run without them
+    // (unranked once continued)
+    function dropLogs() {
+      forget();
+      restart();
+      logs = false;
+    }
+
+    function save() {
+      const extra = extras();
+      const frames = extra.recording ? extra.recording.frames : [];
+      const samples = extra.best || [];
+      if (logs) {
+        const part = { log: compactFrames(frames.slice(written.frames)), best: samples.slice(written.samples) };
+        if (write(partKey(written.parts), part)) {
+          written = { frames: frames.length, samples: samples.length, parts: written.parts + 1 };
+          for (const run of part.log) log.push(run);
+          for (const s of part.best) best.push(s);
+        } else {
+          dropLogs();
+        }
+      }
+      const { recording } = extra;
+      const run = () => ({
+        version: VERSION,
+        levels: game.state.levelIds.slice(),
+        game: game.snapshot(),
+        recording: logs && recording ? { version: recording.version, seed: recording.seed, levels: recording.levels, tuning: recording.tuning } : null,
+        logs,
+        parts: written.parts
+      });
+      let record = run();
+      if (!write(STORAGE_KEY, record) && logs) {
+        dropLogs();
+        record = run();
+        write(STORAGE_KEY, record); // still failing: storage disabled
+      }
+      saved = Object.assign(record, {
+        recording: record.recording && Object.assign(record.recording, { log }),
+        best: logs ? best : null
+      });
+      nextSave = game.state.time + AUTOSAVE_MS;
+    }
+
+    // Call after every step of a live solo run; saves when one is due
+    function autosave() {
+      if (game.state.time >= nextSave) save();
+    }
+
+    function clear() {
+      saved = null;
+      nextSave = 0;
+      restart();
+      forget();
+    }
+
+    return { save, autosave, clear, get saved() { return saved; } };
+  }
+
+  (root.RoadRunner = root.RoadRunner || {}).save = { createSavedRun, AUTOSAVE_MS };
+})(window);
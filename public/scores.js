@@ -0,0 +1,90 @@
+
+/* Road Runner TV – leaderboard client
+   Talks to /api/scores when server.js is serving the game; falls back to a
+   localStorage board when the site is static (gh-pages) or the server is down.
+*/
+
+(function (root) {
+  const LOCAL_KEY = 'rr.scores';
+  const LOCAL_KEEP = 20;
+
+  // Same order as the server: longest distance, then faster run, then earlier
+  const byRank = (a, b) => (b.distance - a.distance) || (a.duration - b.duration) || (a.date < b.date ? -1 : 1);
+
+  function readLocal() {
+    try {
+      const list = JSON.parse(localStorage.getItem(LOCAL_KEY) || '[]');
+      return Array.isArray(list) ? list : [];
+    } catch (_) {
+      return [];
+    }
+  }
+  function writeLocal(list) {
+    try { localStorage.setItem(LOCAL_KEY, JSON.stringify(list)); } catch (_) { /* storage full or disabled */ }
+  }
+  const ranked = (list, limit) => list.slice(0, limit).map((s, i) => Object.assign({ rank: i + 1 }, s));
+
+  // Static hosts answer API calls with 404/405 (or an HTML page); fetch itself
+  // rejects with a TypeError when the network is down. Both mean "play offline".
+  const isMissingApi = (res) => res.status === 404 || res.status === 405 || res.status === 501;
+  const unavailable = () => Object.assign(new Error('leaderboard API unavailable'), { offline: true });
+  const isOfflineError = (err) => err.offline || err instanceof TypeError;
+
+  function createLeaderboard({ url = 'api/scores', limit = 10 } = {}) {
+    let offline = false; // once the API is missing, stop asking for it
+
+    const local = {
+      top: () => ranked(readLocal(), limit),
+      submit(score) {
+        const entry = Object.assign({}, score, { date: new Date().toISOString() });
+        delete entry.run; // only the server replays runs
+        const list = readLocal().concat(entry).sort(byRank).slice(0, LOCAL_KEEP);
+        writeLocal(list);
+        return { rank: list.indexOf(entry) + 1, scores: ranked(list, limit), offline: true };
+      }
+    };
+
+    async function request(path, opts) {
+      const res = await fetch(path, opts);
+      if (isMissingApi(res)) throw unavailable();
+      let body;
+      try { body = await res.json(); } catch (_) { throw unavailable(); }
+      if (!res.ok) throw new Error((body.details || [body.error]).join(', '));
+      return body;
+    }
+
+    // Resolves to { scores, offline }
+    async function top() {
+      if (offline) return { scores: local.top(), offline };
+      try {
+        const { scores } = await request(`${url}?limit=${limit}`);
+        return { scores, offline };
+      } catch (err) {
+        if (!isOfflineError(err)) throw err;
+        offline = true;
+        return { scores: local.top(), offline };
+      }
+    }
+
+    // score: { name, distance, topSpeed, duration, run }; resolves to { rank, scores, offline }
+    async function submit(score) {
+      if (offline) return local.submit(score);
+      try {
+        const body = await request(`${url}?limit=${limit}`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(score)
+        });
+        return { rank: body.rank, scores: body.scores, offline };
+      } catch (err) {
+        if (!isOfflineError(err)) throw err;
+        offline = true;
+        return local.submit(score);
+      }
+    }
+
+    return { top, submit };
+  }
+
+  (root.RoadRunner = root.RoadRunner || {}).scores = { createLeaderboard };
+})(window);
@@ -0,0 +1,173 @@
+
+/* Road Runner TV – Settings screen
+   Player preferences, kept in localStorage, plus the D-pad list that edits
+   them on the overlay: ▲/▼ to pick a row, ◀/▶ (or OK) to change it, Back to
+   leave. Every change is applied straight away through onChange.
+*/
+
+(function (root) {
+  const STORAGE_KEY = 'rr.settings';
+
+  // The OS-level setting is the default until the player picks otherwise
+  function prefersReducedMotion() {
+    return !!(root.matchMedia && root.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+
+  // Each setting steps through its choices in order. The row reads
+  // t('setting.<key>') and t('setting.<key>.<name>'), where a choice's name is
+  // the choice itself unless `names` gives one.
+  const SETTINGS = [
+    { key: 'gameSpeed', choices: [0.07, 0.1, 0.14, 0.2], names: ['slow', 'normal', 'fast', 'turbo'], value: 0.1 },
+    { key: 'steerGain', choices: [0.18, 0.22, 0.25, 0.3, 0.35], names: ['veryLow', 'low', 'normal', 'high', 'veryHigh'], value: 0.25 },
+    // Gamepad stick travel ignored around the centre (gamepad.js)
+    { key: 'deadZone', choices: [0.1, 0.15, 0.2, 0.3, 0.4], names: ['verySmall', 'small', 'normal', 'large', 'veryLarge'], value: 0.2 },
+    { key: 'difficulty', choices: ['easy', 'normal', 'hard'], value: 'normal' },
+    // Classic slows the car down; arcade wrecks it and respawns it (sim.CRASH_MODES)
+    { key: 'crashMode', choices: ['classic', 'arcade'], value: 'classic' },
+    // Automatic follows the browser's languages (i18n.js)
+    { key: 'language', choices: ['auto', 'en', 'sq', 'it', 'de'], value: 'auto' },
+    { key: 'units', choices: ['metric', 'imperial'], value: 'metric' },
+    // Accessibility (render.js): traffic colours, a symbol per car type, no shake
+    { key: 'palette', choices: ['standard', 'colorblind', 'contrast'], value: 'standard' },
+    { key: 'markers', choices: [false, true], names: ['off', 'on'], value: false },
+    { key: 'reduceMotion', choices: [false, true], names: ['off', 'on'], value: prefersReducedMotion() },
+    // Perf comparison: cached sprites vs. painting every car every frame (render.js)
+    { key: 'sprites', choices: [true, false], names: ['on', 'off'], value: true },
+    // Auto follows the frame rate (perf.js); the rest hold one level
+    { key: 'quality', choices: ['auto', 'high', 'medium', 'low', 'lowest'], value: 'auto' }
+  ];
+  const DEFAULTS = Object.fromEntries(SETTINGS.map(s => [s.key, s.value]));
+
+  // Volumes live in audio.js (its own storage); the screen edits them in 10% steps
+  const VOLUME_STEPS = [0, 0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9, 1];
+  const VOLUME_ROWS = [['master', 'setting.volume'], ['music', 'setting.music'], ['sfx', 'setting.effects']];
+
+  // Arrow keys always navigate lists, whatever the player has remapped
+  const isUp    = (e) => e.key === 'ArrowUp'    || e.keyCode === 38;
+  const isDown  = (e) => e.key === 'ArrowDown'  || e.keyCode === 40;
+  const isLeft  = (e) => e.key === 'ArrowLeft'  || e.keyCode === 37;
+  const isRight = (e) => e.key === 'ArrowRight' || e.keyCode === 39;
+
+  function load() {
+    let saved = {};
+    try { saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') || {}; } catch (_) { /* corrupt: defaults */ }
+    const values = Object.assign({}, DEFAULTS);
+    for (const s of SETTINGS) if (s.choices.includes(saved[s.key])) values[s.key] = saved[s.key];
+    return values;
+  }
+
+  // onChange(key, value) runs after every change, including reset()
+  function createSettings({ onChange } = {}) {
+    const values = load();
+
+    const save = () => {
+      try { localStorage.setItem(STORAGE_KEY, JSON.stringify(values)); } catch (_) { /* storage disabled */ }
+    };
+
+    function set(key, value) {
+      const def = SETTINGS.find(s => s.key === key);
+      if (!def || !def.choices.includes(value) || values[key] === value) return;
+      values[key] = value;
+      save();
+      if (onChange) onChange(key, value);
+    }
+
+    function reset() {
+      for (const s of SETTINGS) set(s.key, s.value);
+    }
+
+    return { get: (key) => values[key], set, reset, values };
+  }
+
+  // The screen: one row per setting and volume, then Reset and Done.
+  // t: string lookup from i18n.js
+  function createSettingsScreen({ panel, settings, sound, keymap, t, onClose }) {
+    const list = panel.querySelector('.menu-list');
+    const rows = SETTINGS.map(s => ({
+      label: `setting.${s.key}`,
+      choices: s.choices,
+      name: (v) => t(`setting.${s.key}.${s.names ? s.names[s.choices.indexOf(v)] : v}`),
+      get: () => settings.get(s.key),
+      set: (v) => settings.set(s.key, v)
+    })).concat(VOLUME_ROWS.map(([bus, label]) => ({
+      label,
+      choices: VOLUME_STEPS,
+      name: (v) => `${Math.round(v * 100)}%`,
+      get: () => sound.volumes[bus],
+      set: (v) => sound.setVolume(bus, v)
+    })), [{ id: 'reset', label: 'settings.reset' }, { id: 'done', label: 'settings.done' }]);
+
+    let focus = 0;
+
+    // Step a row's value; volumes may sit between steps, so start from the nearest
+    function change(row, step) {
+      const v = row.get();
+      let i = row.choices.indexOf(v);
+      if (i < 0) i = row.choices.reduce((best, c, j) => (Math.abs(c - v) < Math.abs(row.choices[best] - v) ? j : best), 0);
+      row.set(row.choices[Math.max(0, Math.min(row.choices.length - 1, i + step))]);
+    }
+
+    // OK (or a tap) steps forward and wraps around; on a button, presses it
+    function activate(row) {
+      if (row.choices) return row.set(row.choices[(row.choices.indexOf(row.get()) + 1) % row.choices.length]);
+      if (row.id === 'reset') {
+        settings.reset();
+        for (const [bus] of VOLUME_ROWS) sound.setVolume(bus, sound.defaultVolumes[bus]);
+        return;
+      }
+      onClose();
+    }
+
+    function render() {
+      list.textContent = '';
+      rows.forEach((row, i) => {
+        const li = document.createElement('li');
+        li.classList.toggle('focused', i === focus);
+        const name = document.createElement('span');
+        name.className = 'name';
+        name.textContent = t(row.label);
+        li.appendChild(name);
+        if (row.choices) {
+          const value = document.createElement('span');
+          value.className = 'value';
+          value.textContent = `◀ ${row.name(row.get())} ▶`;
+          li.appendChild(value);
+        }
+        // Touch and mouse: tap a row to step it or press its button
+        li.addEventListener('click', () => {
+          focus = i;
+          activate(row);
+          if (row.id !== 'done') render();
+        });
+        list.appendChild(li);
+      });
+    }
+
+    function open() {
+      focus = 0;
+      render();
+    }
+
+    // Every key goes here while the screen is open
+    function handleKey(e) {
+      const row = rows[focus];
+      if (isUp(e)) {
+        focus = (focus + rows.length - 1) % rows.length;
+      } else if (isDown(e)) {
+        focus = (focus + 1) % rows.length;
+      } else if ((isLeft(e) || isRight(e)) && row.choices) {
+        change(row, isLeft(e) ? -1 : 1);
+      } else if (keymap.isConfirm(e)) {
+        activate(row);
+        if (row.id === 'done') return;
+      } else if (keymap.isBack(e)) {
+        return onClose();
+      }
+      render();
+    }
+
+    return { open, handleKey };
+  }
+
+  (root.RoadRunner = root.RoadRunner || {}).settings = { createSettings, createSettingsScreen, SETTINGS };
+})(window);
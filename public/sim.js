@@ -0,0 +1,1251 @@
+
+/* Road Runner TV – simulation core
+   DOM-free game rules: traffic, spawning, fuel, lives, collisions and scoring.
+   Runs unchanged in the browser (window.RoadRunner.sim) and in Node
+   (require('./public/sim.js')), so it must never touch canvas, document or timers.
+*/
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else (root.RoadRunner = root.RoadRunner || {}).sim = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  // ---------- World ----------
+  // Fixed virtual world; the renderer maps it onto whatever screen it has, so a
+  // run plays out the same on every TV and in Node.
+  const WORLD = { w: 1920, h: 1080 };
+  const ROAD_W = Math.min(900, Math.max(700, WORLD.w * 0.42));
+  const LANES = 4;
+
+  // ---------- Tuning ----------
+  const DEFAULTS = {
+    // Global speed knob (lower = slower)
+    gameSpeed: 0.10,     // very slow; raise to 0.20–0.50 if you want faster later
+
+    // Traffic density & spacing (levels may override these)
+    maxCars: 8,          // hard cap on simultaneous traffic
+    spawnBase: 1100,     // avg spacing between waves (px)
+    minGapY: 480,        // min vertical gap between cars
+    laneSegment: 420,    // per-lane segment height to avoid stacking
+
+    // Steering responsiveness (independent of slow motion)
+    steerGain: 0.25,     // try 0.22–0.30 to taste
+
+    // ----- Roadside -----
+    grassMaxSpeedKmh: 80,      // grass drags the car down to this
+    grassDragKmh: 300,         // km/h per second of drag while on grass
+    grassFuelLoss: 30          // % fuel per second while on grass
+
+    // Crash behaviour: see CRASH_MODES (classic by default)
+  };
+
+  // What a hit does, per crash mode (the Crashes setting). classic: traffic
+  // and barrier hits cost speed and fuel. arcade: the barrier, or a hard
+  // side-swipe, wrecks the car (see wreckPlayer); lighter knocks are classic.
+  const CRASH_MODES = {
+    classic: {
+      wrecks: false,
+      crashSlowdownKmh: 70,      // how much speed to drop on impact (km/h)
+      crashMinSpeedKmh: 40,      // never drop below this
+      crashFuelLoss: 10,         // % fuel lost on impact
+      crashSidePushPx: 28,       // slight lateral push L/R
+      crashInvulnMs: 600,        // brief invulnerability after hit
+      crashTruckMultiplier: 1.4, // trucks hit harder
+      barrierMultiplier: 1.2     // barrier hits vs. a car hit
+    }
+  };
+  CRASH_MODES.arcade = Object.assign({}, CRASH_MODES.classic, {
+    wrecks: true,
+    wreckSpeedKmh: 110,        // side-swipes at or above this wreck the car
+    explodeSpeedKmh: 150,      // wrecks at or above this explode instead of spinning out
+    wreckFuelLoss: 15,         // % fuel per wreck
+    wreckMs: 250,              // from the wreck to the respawn
+    wreckBrakeKmh: 0.6,        // km/h per sim ms while spinning to a stop
+    respawnInvulnMs: 400       // invulnerable after respawning
+  });
+  Object.assign(DEFAULTS, CRASH_MODES.classic);
+
+  // Difficulty presets over DEFAULTS and the crash mode: traffic density and crash severity
+  const DIFFICULTIES = {
+    easy:   { maxCars: 6, spawnBase: 1400, crashSlowdownKmh: 50, crashFuelLoss: 6 },
+    normal: {},
+    hard:   { maxCars: 10, spawnBase: 900, crashSlowdownKmh: 90, crashFuelLoss: 14 }
+  };
+  const TUNING_LIMITS = { gameSpeed: [0.05, 0.5], steerGain: [0.1, 0.5] };
+
+  // Player tuning (settings.js) as DEFAULTS overrides. Runs record their
+  // tuning, { gameSpeed, steerGain, difficulty, crashMode }, so replays and the
+  // server's check play by the same rules. Missing or out-of-range values are ignored.
+  function tuningConfig(tuning = {}) {
+    const cfg = Object.assign({}, CRASH_MODES[tuning.crashMode], DIFFICULTIES[tuning.difficulty]);
+    for (const [key, [min, max]] of Object.entries(TUNING_LIMITS)) {
+      const v = tuning[key];
+      if (typeof v === 'number' && v >= min && v <= max) cfg[key] = v;
+    }
+    return cfg;
+  }
+  const TUNED_KEYS = Object.keys(TUNING_LIMITS).concat(...Object.values(DIFFICULTIES).map(Object.keys),
+    ...Object.values(CRASH_MODES).map(Object.keys));
+
+  // ---------- Levels ----------
+  // A run is a sequence of stages, one per level. Levels are data (see
+  // public/levels/ and levels.js for the format): length (m), difficulty at
+  // the start and at the finish line, fuel bonus for clearing it, traffic mix
+  // and density, pickup frequency, road layout and scripted events. After the
+  // last level the list repeats, a little harder every lap. This built-in
+  // level is used when none are loaded.
+  const DEFAULT_LEVELS = [{
+    version: 1,
+    id: 'open-road',
+    name: 'Open Road',
+    length: 100000,
+    difficulty: { start: 1.2, end: 1.6 },
+    bonusFuel: 25,
+    traffic: { weights: { yellow: 60, red: 18, blue: 18, truck: 4 } }
+  }];
+  const LAP_DIFFICULTY = 0.15; // added per completed pass through the levels
+  const CAR_TYPES = { yellow: 0, red: 1, blue: 2, truck: 4 };
+
+  // ---------- Traffic ----------
+  // Every car cruises at its own speed and moves relative to the player.
+  // It eases off behind anything slower in its path (the player included),
+  // slides across when it changes lanes, and two cars that touch spin out and
+  // slow to a crawl: a hazard until they recover. Trucks are long and slow,
+  // never change lanes and shrug off being hit.
+  const TRAFFIC = {
+    followGap: 360,       // px: ease off when something slower is this close ahead
+    accel: 0.5,           // km/h per sim ms, back up to cruising speed
+    brake: 3,             // km/h per sim ms, when following
+    laneChangeRate: 0.03, // lanes per sim ms
+    careless: 0.2,        // share of lane changes made without looking
+    truckSpeed: 0.7,      // trucks cruise at this share of a car's speed
+    truckLength: 200,     // px; cars are 120
+    spinMs: 150,          // sim ms a spin-out lasts
+    spinTurns: 2,         // whole turns per spin-out
+    spinDrift: 1.2,       // px per sim ms sideways while spinning
+    spinSpeed: 0.5,       // share of its speed a car keeps when it spins out
+    despawnAbove: 4000    // px above the screen: cars that drove away ahead are dropped
+  };
+  const TRUCK = 4;
+
+  // ---------- Scoring ----------
+  // Arcade points: every car passed without touching it, extra for passing it
+  // close, and a trickle for driving fast. Each clean pass adds to a combo
+  // whose multiplier applies to pass points; a crash or an oil slip breaks it.
+  const SCORING = {
+    overtake: 100,        // per car passed
+    nearMiss: 150,        // on top, when it was passed within nearMissPx side to side
+    nearMissPx: 24,
+    comboStep: 5,         // passes per +1 multiplier
+    maxMultiplier: 5,
+    speedBonusKmh: 120,   // driving faster than cruising speed earns
+    speedBonus: 20        // points per km/h over it, per second (sim time)
+  };
+  const comboMultiplier = (combo) => Math.min(SCORING.maxMultiplier, 1 + Math.floor(combo / SCORING.comboStep));
+
+  // ---------- Power-ups ----------
+  // Timed pickups that ride the road like fuel cars (state.powerUps). Taking
+  // one starts its timer in state.powers (sim ms left); taking one that is
+  // already running starts it over rather than adding up, and different kinds
+  // run side by side. weight: share of power-up spawns.
+  //   shield  takes the next hit from traffic or the rival in 2P instead of
+  //           the car, then ends. A hit inside the post-crash `hurt` window
+  //           is ignored as before and leaves the shield up; a shielded hit
+  //           still grants that window.
+  //   magnet  pulls fuel cars in range toward the player
+  //   slow    the world runs at SLOW_FACTOR (timers keep full speed)
+  //   tires   oil slicks don't make the car slip
+  const POWER_UPS = {
+    shield: { ms: 1000, weight: 35 },
+    magnet: { ms: 800,  weight: 30 },
+    slow:   { ms: 300,  weight: 15 },
+    tires:  { ms: 1000, weight: 20 }
+  };
+  const POWER_IDS = Object.keys(POWER_UPS);
+  const POWER_SIZE = 44;     // world px, square
+  const MAGNET_RADIUS = 500; // world px from the player's centre
+  const MAGNET_PULL = 20;    // px per sim ms
+  const SLOW_FACTOR = 0.5;
+
+  // World px scrolled per metre travelled (see worldScroll and distance in step())
+  const PX_PER_M = 0.28 / 0.15;
+  const SHARED_LISTS = ['cars', 'slicks', 'fuelCars', 'powerUps']; // what 2P players share (pairGames)
+
+  // ---------- Road geometry ----------
+  // A road layout is a list of segments, measured in metres of stage distance
+  // and repeated until the finish line. A segment sets the road width (px),
+  // its lane count, the offset of its centre from the middle of the world and
+  // optionally the grass shoulder before the barrier. Width, offset and
+  // shoulder ease in from the previous segment; lanes switch at the start.
+  const ROAD_BLEND_M = 2000;
+  const GRASS_W = 70;
+  const STRAIGHT = [{ length: 10000, width: ROAD_W, lanes: LANES, offset: 0 }];
+
+  // smoothstep: polynomial only, so every JS engine agrees on the result
+  const ease = (t) => t * t * (3 - 2 * t);
+  const lerp = (a, b, t) => a + (b - a) * t;
+
+  // Road shape `m` metres into `segments`: { x, w, lanes, grass }
+  function roadShape(segments, m, out = {}) {
+    let total = 0;
+    for (const seg of segments) total += seg.length;
+    const cycle = Math.floor(Math.max(0, m) / total);
+    let pos = Math.max(0, m) - cycle * total;
+    let i = 0;
+    while (i < segments.length - 1 && pos >= segments[i].length) pos -= segments[i++].length;
+
+    const seg = segments[i];
+    const prev = i > 0 ? segments[i - 1] : cycle > 0 ? segments[segments.length - 1] : seg;
+    const blend = Math.min(ROAD_BLEND_M, seg.length / 2);
+    const t = pos >= blend ? 1 : ease(pos / blend);
+    out.w = lerp(prev.width, seg.width, t);
+    out.x = WORLD.w / 2 + lerp(prev.offset, seg.offset, t) - out.w / 2;
+    out.grass = lerp(prev.grass ?? GRASS_W, seg.grass ?? GRASS_W, t);
+    out.lanes = seg.lanes;
+    return out;
+  }
+
+  // Road shape at world y: the player sits at the current stage distance and
+  // everything above is further down the road
+  function roadAt(state, y, out) {
+    const { stage, player } = state;
+    return roadShape(stage.road, stage.distance + (player.y - y) / PX_PER_M, out);
+  }
+
+  // ---------- Seeded RNG ----------
+  // mulberry32: small, fast, 32-bit state. Every gameplay random choice goes
+  // through it so a run can be reproduced exactly from its seed.
+  function createRng(seed) {
+    let s = seed >>> 0;
+    const next = () => {
+      s = (s + 0x6D2B79F5) >>> 0;
+      let t = s;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    next.range = (min, max) => next() * (max - min) + min;
+    // The 32-bit state, so a saved run carries on with the same numbers
+    next.getState = () => s;
+    next.setState = (v) => { s = v >>> 0; };
+    return next;
+  }
+
+  // ---------- Helpers ----------
+  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+  const aabb = (a, b) => a && b && a.x < b.x + b.w && a.x + a.w > b.x && a.y < b.y + b.h && a.y + a.h > b.y;
+  // Touching mostly side by side: they overlap less across than along
+  const sideSwipe = (a, b) =>
+    Math.min(a.x + a.w, b.x + b.w) - Math.max(a.x, b.x) < Math.min(a.y + a.h, b.y + b.h) - Math.max(a.y, b.y);
+
+  // ---------- Input encoding ----------
+  // Input is packed into one integer per step for recordings and replays:
+  // one bit per button, then analog steering (-1..1, e.g. a gamepad stick)
+  // as a signed byte in hundredths. `advance` leaves the stage-clear screen;
+  // it is a step of its own so replays continue into the next stage too.
+  const INPUT_KEYS = ['left', 'right', 'up', 'down', 'boost', 'advance'];
+  const STEER_SHIFT = INPUT_KEYS.length;
+  const INPUT_BITS = STEER_SHIFT + 8;
+
+  // The sim only ever sees steering at this resolution, so live play and a
+  // replay of the encoded input step identically
+  const quantizeSteer = (v) => Math.round(clamp(v || 0, -1, 1) * 100) / 100;
+
+  function encodeInput(inp) {
+    const bits = INPUT_KEYS.reduce((acc, k, i) => (inp[k] ? acc | (1 << i) : acc), 0);
+    return bits | ((Math.round(quantizeSteer(inp.steer) * 100) & 0xFF) << STEER_SHIFT);
+  }
+  function decodeInput(bits, out = {}) {
+    INPUT_KEYS.forEach((k, i) => { out[k] = (bits & (1 << i)) !== 0; });
+    const steer = (bits >> STEER_SHIFT) & 0xFF;
+    out.steer = (steer & 0x80 ? steer - 256 : steer) / 100;
+    return out;
+  }
+  const IDLE = decodeInput(0); // no buttons held
+
+  // ---------- Game ----------
+  // config: DEFAULTS overrides, plus `seed` and `levels` (validated level
+  // objects in play order; DEFAULT_LEVELS when missing or empty)
+  function createGame(config = {}) {
+    const cfg = Object.assign({}, DEFAULTS, config);
+    const base = Object.assign({}, cfg); // what configure() tunes from
+    let levels = DEFAULT_LEVELS; // for the current run
+    let nextLevels = cfg.levels && cfg.levels.length ? cfg.levels : DEFAULT_LEVELS;
+    let rules = null;            // current level's tuning, see rulesFor()
+    const road = { x: (WORLD.w - ROAD_W) / 2, w: ROAD_W, lanes: LANES, grass: GRASS_W }; // under the player
+    const shape = {}; // scratch for roadAt()
+
+    let random = createRng(0);
+    const rnd = (min, max) => random.range(min, max);
+
+    // 2P shared traffic (see pairGames): { host, other, ids } while paired.
+    // The host runs the traffic and pickups around both players; the guest
+    // mirrors them into its own frame every step and hands back what its
+    // player took or its stage spawned. Each game keeps its own scoring marks.
+    let share = null;
+    let mirroring = false; // guest: mirrored the host last step
+    const rivalBox = {};   // scratch for rivalRect()
+
+    // Everything a consumer needs to draw or inspect a frame
+    const state = {
+      seed: 0,
+      road,
+      player: null,
+      cars: [],
+      slicks: [],
+      fuelCars: [],
+      powerUps: [],  // { x, u, y, w, h, kind } pickups on the road, see POWER_UPS
+      powers: null,  // sim ms left per POWER_UPS kind, 0 when off
+      particles: [],
+      distance: 0,
+      baseSpeed: 0,
+      scroll: 0,
+      fuel: 0,
+      lives: 0,
+      time: 0,
+      difficulty: 1,
+      levelIds: [],  // ids of loaded levels this run plays ([] = built-in)
+      stage: null,   // { number, id, name, length, road, events, nextEvent, distance, time, finishY, bonusFuel, cleared }
+      topSpeed: 0,
+      score: 0,      // see SCORING; fractional while the speed bonus trickles in
+      combo: 0,      // clean passes in a row
+      tally: null,   // the score's breakdown: { overtakes, nearMisses, overtakePoints, nearMissPoints, speedPoints, bestCombo }
+      over: false,
+      events: []   // what happened during the last step: { type, ... }
+    };
+
+    function reset(seed = state.seed) {
+      state.seed = seed >>> 0;
+      random = createRng(state.seed);
+      levels = nextLevels;
+      state.levelIds = levels === DEFAULT_LEVELS ? [] : levels.map(l => l.id);
+
+      state.player = {
+        x: 0,                // centred on the road by enterStage()
+        y: WORLD.h - 280,
+        w: 64, h: 128,
+        vx: 0, vy: 0,
+
+        // Cruise-control model values
+        speed: 0,            // actual current speed
+        targetSpeed: 120,    // what player wants (Up/Down adjust)
+        maxSpeed: 200,       // very slow top speed
+
+        // Handling
+        accel: 80,
+        turn: 7,
+        slip: 0,
+        boost: 0,
+        hurt: 0,             // ms of post-hit invulnerability
+
+        // Arcade crashes (see wreckPlayer)
+        wreck: 0,            // ms until the respawn, 0 when driving
+        wreckKind: null,     // 'spin' or 'explode'
+        spinDir: 0,
+        angle: 0
+      };
+
+      state.cars = [];       // traffic
+      state.slicks = [];     // oil slicks
+      state.fuelCars = [];   // rainbow fuel cars
+      state.powerUps = [];
+      state.powers = Object.fromEntries(POWER_IDS.map(id => [id, 0]));
+      state.particles = [];  // simple effects
+
+      state.distance = 0;
+      state.baseSpeed = 120; // slower baseline
+      state.scroll = 0;
+      state.fuel = 100;      // percentage
+      state.lives = 3;
+      state.time = 0;
+      state.topSpeed = 0;
+      state.score = 0;
+      state.combo = 0;
+      state.tally = { overtakes: 0, nearMisses: 0, overtakePoints: 0, nearMissPoints: 0, speedPoints: 0, bestCombo: 0 };
+      state.over = false;
+      state.events = [];
+
+      enterStage(0);
+      return state;
+    }
+
+    // Levels for the next reset(); a run in progress keeps its own
+    function setLevels(list) {
+      nextLevels = list && list.length ? list : DEFAULT_LEVELS;
+    }
+
+    // Player tuning (see tuningConfig), from the next step on
+    function configure(tuning) {
+      for (const key of TUNED_KEYS) cfg[key] = base[key];
+      Object.assign(cfg, tuningConfig(tuning));
+      rules = rulesFor(stageDef(state.stage.number - 1));
+    }
+
+    // Stage n counts from 0 across laps; levels[n % length] supplies the rules
+    const stageDef = (n) => levels[n % levels.length];
+    const lapBonus = (n) => Math.floor(n / levels.length) * LAP_DIFFICULTY;
+
+    // Level values win over the config defaults
+    function rulesFor(def) {
+      const traffic = def.traffic;
+      const pickups = def.pickups || {};
+      return {
+        weights: traffic.weights,
+        maxCars: Math.min(cfg.maxCars, traffic.maxCars ?? cfg.maxCars),
+        spawnBase: traffic.spacing ?? cfg.spawnBase,
+        minGapY: traffic.minGap ?? cfg.minGapY,
+        laneSegment: traffic.laneSegment ?? cfg.laneSegment,
+        slickChance: pickups.slick ?? 0.12,
+        fuelChance: pickups.fuel ?? 0.10,
+        powerChance: pickups.power ?? 0.05
+      };
+    }
+
+    // Start stage n with a fresh stretch of road; fuel, lives, speed and running power-ups carry over
+    function enterStage(n) {
+      const def = stageDef(n);
+      const { player } = state;
+      rules = rulesFor(def);
+      state.stage = {
+        number: n + 1,
+        id: def.id,
+        name: def.name,
+        length: def.length,
+        road: def.road || STRAIGHT,
+        events: (def.events || []).slice().sort((a, b) => a.at - b.at),
+        nextEvent: 0,
+        distance: 0,
+        time: 0,
+        finishY: 0,
+        bonusFuel: def.bonusFuel || 0,
+        cleared: false
+      };
+      state.difficulty = def.difficulty.start + lapBonus(n);
+      state.cars = [];
+      state.slicks = [];
+      state.fuelCars = [];
+      state.powerUps = [];
+      roadAt(state, player.y + player.h / 2, road);
+      player.x = road.x + (road.w - player.w) / 2;
+      updateFinish();
+      spawnInitial();
+    }
+
+    // Screen y of the finish line: it reaches the player's bumper as the
+    // stage distance reaches its length
+    function updateFinish() {
+      const { stage } = state;
+      stage.finishY = state.player.y - (stage.length - stage.distance) * PX_PER_M;
+    }
+
+    function clearStage() {
+      const { stage } = state;
+      stage.cleared = true;
+      state.fuel = Math.min(100, state.fuel + stage.bonusFuel);
+      emit('stageClear', { stage: stage.number, name: stage.name, time: stage.time, bonusFuel: stage.bonusFuel });
+    }
+
+    // Weighted pick from the level's traffic mix
+    function pickType() {
+      const { weights } = rules;
+      const names = Object.keys(weights);
+      let r = random() * names.reduce((sum, k) => sum + weights[k], 0);
+      for (const k of names) {
+        r -= weights[k];
+        if (r < 0) return CAR_TYPES[k];
+      }
+      return CAR_TYPES[names[names.length - 1]];
+    }
+
+    function pickPower() {
+      let r = random() * POWER_IDS.reduce((sum, id) => sum + POWER_UPS[id].weight, 0);
+      for (const id of POWER_IDS) {
+        r -= POWER_UPS[id].weight;
+        if (r < 0) return id;
+      }
+      return POWER_IDS[POWER_IDS.length - 1];
+    }
+
+    // Scripted level events (see levels.js), run as the stage distance passes `at`
+    function runEvent(ev) {
+      if (ev.type === 'message') {
+        emit('message', { text: ev.text });
+      } else if (ev.type === 'traffic') {
+        const type = ev.car ? CAR_TYPES[ev.car] : undefined;
+        for (let i = 0; i < ev.count; i++) spawnCar(-rnd(300, 600) - i * rules.minGapY, type);
+      } else if (ev.type === 'oil') {
+        for (let i = 0; i < ev.count; i++) dropInLane(-rnd(200, 900), 'slick');
+      } else if (ev.type === 'fuel') {
+        dropInLane(-rnd(300, 800), 'fuel');
+      }
+    }
+
+    // An oil slick or fuel car in a random lane at y
+    function dropInLane(y, kind) {
+      roadAt(state, y, shape);
+      const laneW = shape.w / shape.lanes;
+      const lane = shape.x + Math.floor(rnd(0, shape.lanes)) * laneW;
+      const w = laneW * (kind === 'slick' ? 0.4 : 0.64);
+      const x = lane + (laneW - w) / 2;
+      const item = { x, u: (x - shape.x) / shape.w, y, w, h: kind === 'slick' ? 16 : 24 };
+      if (kind === 'slick') state.slicks.push(item);
+      else state.fuelCars.push(Object.assign(item, { t: 0 }));
+    }
+
+    function spawnInitial() {
+      for (let i = 0; i < 6; i++) spawnCar(-i * 700); // fewer cars pre-populated
+    }
+
+    // type: force a car type (CAR_TYPES value) instead of the level's mix
+    function spawnCar(yOverride, type) {
+      const { cars } = state;
+
+      // Try a few times to find a safe lane & Y
+      for (let attempts = 0; attempts < 6; attempts++) {
+        // Proposed Y (spawn above the screen unless yOverride provided)
+        const baseY = (yOverride ?? -rnd(300, 1000));
+        const h = 120;
+
+        // Lanes of the road segment the car appears on
+        roadAt(state, baseY + h / 2, shape);
+        const laneW = shape.w / shape.lanes;
+        const laneIndex = Math.floor(rnd(0, shape.lanes));
+        const x = shape.x + laneIndex * laneW + laneW * 0.1;
+        const w = laneW * 0.8;
+
+        // 1) Global min vertical gap from all cars
+        const tooCloseY = cars.some(c => Math.abs(c.y - baseY) < rules.minGapY);
+        if (tooCloseY) continue;
+
+        // 2) Per-lane segment anti-stacking
+        const seg = Math.floor(baseY / rules.laneSegment);
+        const laneHasCarInSegment = cars.some(c =>
+          Math.floor(c.y / rules.laneSegment) === seg && c.laneIndex === laneIndex
+        );
+        if (laneHasCarInSegment) continue;
+
+        // Types: yellow (0), red (1), blue (2/3), truck (4), mixed per level
+        if (type === undefined) type = pickType();
+
+        const speed = rnd(90, 150) * (0.80 + (state.difficulty - 1) * 0.25) * (type === TRUCK ? TRAFFIC.truckSpeed : 1);
+
+        // speed: cruising, v: actual (see driveTraffic); lanePos: where it is
+        // across the lanes, easing toward laneIndex; spin/spinDir/angle: spin-out;
+        // passed/hit/gap: scoring (see scorePass)
+        cars.push({
+          x, y: baseY, w, h: type === TRUCK ? TRAFFIC.truckLength : h, type, speed, v: speed,
+          laneIndex, lanePos: laneIndex, laneTimer: rnd(1.1, 2.6),
+          spin: 0, spinDir: 0, angle: 0,
+          passed: false, hit: false, gap: WORLD.w
+        });
+
+        // Oil slicks & fuel cars (rarer); u keeps them at the same spot
+        // across the road as it bends
+        if (random() < rules.slickChance) {
+          const sx = x + rnd(-20, 20);
+          state.slicks.push({ x: sx, u: (sx - shape.x) / shape.w, y: baseY + rnd(240, 720), w: w * 0.5, h: 16 });
+        }
+        if (random() < rules.fuelChance) {
+          const fx = x + rnd(-10, 10);
+          state.fuelCars.push({ x: fx, u: (fx - shape.x) / shape.w, y: baseY - rnd(300, 800), w: w * 0.8, h: 24, t: 0 });
+        }
+        if (random() < rules.powerChance) {
+          const px = x + (w - POWER_SIZE) / 2;
+          state.powerUps.push({ x: px, u: (px - shape.x) / shape.w, y: baseY - rnd(400, 900), w: POWER_SIZE, h: POWER_SIZE, kind: pickPower() });
+        }
+
+        return; // success
+      }
+      // No safe spot after attempts: skip this spawn
+    }
+
+    // top: y of the top of the view to spawn above (the guest's, for the 2P host)
+    function spawnWave(top = 0) {
+      const count = 1 + Math.floor(rnd(0, 2)); // 1–2 cars per wave
+      for (let i = 0; i < count; i++) {
+        const y = -rnd(rules.spawnBase * 0.7, rules.spawnBase * 1.3) + top;
+        spawnCar(y);
+      }
+    }
+
+    const emit = (type, data) => state.events.push(Object.assign({ type }, data));
+
+    // ---------- 2P shared traffic ----------
+    // The paired game's state while both drive the same stage, else null
+    function partner() {
+      if (!share) return null;
+      const o = share.other.state;
+      const live = (s) => !s.over && !s.stage.cleared;
+      return live(state) && live(o) && o.stage.number === state.stage.number ? o : null;
+    }
+    // y in o's frame + this = y in this game's (see rivalRect)
+    const offsetFrom = (o) => (state.stage.distance - o.stage.distance) * PX_PER_M;
+
+    // Marks a car carries per player: passed (scored), hit, closest gap
+    const passMarks = (y, p) => ({ passed: y > p.y + p.h, hit: false, gap: WORLD.w });
+
+    // Guest, before it moves: the host's objects in this frame. The same objects
+    // are reused by id (the renderer blends them); unshared ones wait for handBack().
+    function mirror(host, off) {
+      for (const key of SHARED_LISTS) {
+        const mine = new Map(), own = [];
+        for (const o of state[key]) (o.id ? mine.set(o.id, o) : own.push(o));
+        state[key] = host[key].map((h) => {
+          if (!h.id) h.id = ++share.ids.next;
+          const o = mine.get(h.id);
+          const y = h.y + off;
+          if (!o) return Object.assign({}, h, { y }, key === 'cars' ? passMarks(y, state.player) : null);
+          const marks = key === 'cars' ? { passed: o.passed, hit: o.hit, gap: o.gap } : null;
+          return Object.assign(o, h, { y }, marks);
+        }).concat(own);
+      }
+    }
+
+    // Guest, after its step: what its player took is gone for both, what its
+    // stage spawned joins the host's, and the magnet pulls on the host's copies
+    function handBack(host, off) {
+      for (const key of SHARED_LISTS) {
+        const kept = new Set();
+        for (const o of state[key]) if (o.id) kept.add(o.id);
+        host[key] = host[key].filter(h => kept.has(h.id));
+        for (const o of state[key]) {
+          if (o.id) continue;
+          o.id = ++share.ids.next;
+          const y = o.y - off;
+          host[key].push(Object.assign({}, o, { y }, key === 'cars' ? passMarks(y, host.player) : null));
+        }
+      }
+      if (state.powers.magnet > 0) {
+        const byId = new Map(host.fuelCars.map(h => [h.id, h]));
+        for (const f of state.fuelCars) Object.assign(byId.get(f.id), { x: f.x, y: f.y - off, u: f.u });
+      }
+    }
+
+    // Traffic speeds for this step: cruise, or follow whatever is closest
+    // ahead across the car's width, a bit slower when it's very close
+    // rival: the other player's car in this frame (2P host), or null
+    function driveTraffic(dt, rival, rivalSpeed) {
+      const { cars, player } = state;
+      for (const c of cars) {
+        let target = c.speed;
+        if (c.spin > 0) {
+          target = 0;
+        } else {
+          let gap = TRAFFIC.followGap, leadV = 0;
+          const ahead = (o, v) => {
+            if (o === c || o.y >= c.y || o.x >= c.x + c.w || o.x + o.w <= c.x) return;
+            const g = c.y - (o.y + o.h);
+            if (g < gap) { gap = g; leadV = v; }
+          };
+          for (const o of cars) ahead(o, o.v);
+          ahead(player, player.speed);
+          if (rival) ahead(rival, rivalSpeed);
+          if (gap < TRAFFIC.followGap) target = Math.max(0, Math.min(target, gap < TRAFFIC.followGap / 2 ? leadV - 10 : leadV));
+        }
+        c.v += clamp(target - c.v, -TRAFFIC.brake * dt, TRAFFIC.accel * dt);
+      }
+    }
+
+    // AI for traffic (calmer); cars stay in their lane as the road bends.
+    // rival: as for driveTraffic(); red cars block whichever player is nearer.
+    function steerTraffic(dt, rival) {
+      const { player } = state;
+      for (const c of state.cars) {
+        roadAt(state, c.y + c.h / 2, shape);
+        const laneW = shape.w / shape.lanes;
+
+        // Spinning out: turn and drift across the road, then carry on from the nearest lane
+        if (c.spin > 0) {
+          c.spin -= dt;
+          c.angle += c.spinDir * (TRAFFIC.spinTurns * 2 * Math.PI / TRAFFIC.spinMs) * dt;
+          c.x = clamp(c.x + c.spinDir * TRAFFIC.spinDrift * dt, shape.x, shape.x + shape.w - c.w);
+          if (c.spin <= 0) {
+            c.angle = 0;
+            c.lanePos = (c.x - shape.x - (laneW - c.w) / 2) / laneW;
+            c.laneIndex = clamp(Math.round(c.lanePos), 0, shape.lanes - 1);
+          }
+          continue;
+        }
+
+        c.laneIndex = Math.min(c.laneIndex, shape.lanes - 1); // lane ended: merge
+        c.laneTimer -= dt * 0.001;
+
+        if (c.type === 1 && c.laneTimer < 0) { // red: single block (imperfect)
+          const near = rival && Math.abs(rival.y - c.y) < Math.abs(player.y - c.y) ? rival : player;
+          const targetLane = clamp(Math.floor((near.x - shape.x) / laneW), 0, shape.lanes - 1);
+          if (random() < 0.65 && targetLane !== c.laneIndex) {
+            c.laneIndex += targetLane > c.laneIndex ? 1 : -1;
+          }
+          c.laneTimer = 9999; // only once
+        } else if ((c.type === 2 || c.type === 3) && c.laneTimer < 0) {
+          const dir = random() < 0.5 ? -1 : 1;
+          const nextLane = clamp(c.laneIndex + dir, 0, shape.lanes - 1);
+
+          // Avoid switching if another car is close ahead in the target lane
+          // (most of the time: the careless ones cause the pile-ups)
+          const blocked = random() >= TRAFFIC.careless && state.cars.some(o =>
+            o !== c && o.laneIndex === nextLane && Math.abs(o.y - c.y) < rules.minGapY * 0.8
+          );
+
+          if (!blocked && random() < 0.6) {
+            c.laneIndex = nextLane;
+          }
+          c.laneTimer = rnd(1.1, 2.4) / Math.sqrt(state.difficulty); // calmer frequency
+        }
+
+        // Slide across to the chosen lane
+        const slide = TRAFFIC.laneChangeRate * dt;
+        c.lanePos += clamp(c.laneIndex - c.lanePos, -slide, slide);
+        c.x = shape.x + c.lanePos * laneW + (laneW - c.w) / 2;
+      }
+    }
+
+    // dir: -1 spins off to the left, +1 to the right
+    function spinOut(c, dir) {
+      c.spin = TRAFFIC.spinMs;
+      c.spinDir = dir;
+      c.v *= TRAFFIC.spinSpeed;
+    }
+
+    // Cars that touch spin out (trucks don't); one event per pile-up
+    function trafficCollisions() {
+      const { cars } = state;
+      for (let i = 0; i < cars.length; i++) {
+        for (let j = i + 1; j < cars.length; j++) {
+          const a = cars[i], b = cars[j];
+          if (!aabb(a, b)) continue;
+          const hit = [a, b].filter(c => c.type !== TRUCK && c.spin <= 0);
+          if (!hit.length) continue;
+          const dir = a.x + a.w / 2 < b.x + b.w / 2 ? -1 : 1; // a's way; b spins off the other way
+          for (const c of hit) spinOut(c, c === a ? dir : -dir);
+          emit('trafficCrash', { onScreen: a.y + a.h > 0 && a.y < WORLD.h });
+        }
+      }
+    }
+
+    // A car has dropped behind the player: points if it was never touched,
+    // more if the closest side-to-side gap was a near miss
+    function scorePass(c) {
+      c.passed = true;
+      if (c.hit) return;
+      const { tally } = state;
+      state.combo++;
+      tally.bestCombo = Math.max(tally.bestCombo, state.combo);
+      const multiplier = comboMultiplier(state.combo);
+      const nearMiss = c.gap < SCORING.nearMissPx;
+      const points = SCORING.overtake * multiplier;
+      const bonus = nearMiss ? SCORING.nearMiss * multiplier : 0;
+      tally.overtakes++;
+      tally.overtakePoints += points;
+      if (nearMiss) {
+        tally.nearMisses++;
+        tally.nearMissPoints += bonus;
+      }
+      state.score += points + bonus;
+      emit('overtake', { nearMiss, points: points + bonus, combo: state.combo, multiplier });
+    }
+
+    function breakCombo() {
+      if (state.combo > 0) emit('comboLost', { combo: state.combo });
+      state.combo = 0;
+    }
+
+    // A shield takes the hit: no slowdown, fuel loss or broken combo. True
+    // when it did; `data` rides along on the 'shieldHit' event.
+    function shieldHit(data) {
+      if (!(state.powers.shield > 0)) return false;
+      state.powers.shield = 0;
+      state.player.hurt = cfg.crashInvulnMs;
+      emit('shieldHit', data);
+      return true;
+    }
+
+    // The rival's car in 2P (see bumpPlayers): a crash unless shielded
+    function bump(push) {
+      if (!shieldHit({ rival: true })) crashPlayer(1, push, { rival: true });
+    }
+
+    // A hit on traffic or the barrier: slow down, lose fuel, get nudged
+    // sideways (push -1 left / +1 right) and turn briefly invulnerable.
+    // `data` rides along on the 'crash' event.
+    function crashPlayer(hitMult, push, data) {
+      const { player } = state;
+
+      // 1) Speed drop (graceful)
+      const drop = cfg.crashSlowdownKmh * hitMult;
+      const targetAfterHit = Math.max(cfg.crashMinSpeedKmh, player.speed - drop);
+
+      // Apply an immediate clamp to *actual* speed…
+      player.speed = Math.max(targetAfterHit, cfg.crashMinSpeedKmh);
+
+      // …and bring the targetSpeed down too so cruise-control doesn't yank us back up immediately
+      player.targetSpeed = Math.max(targetAfterHit, player.targetSpeed - drop * 0.6);
+
+      // 2) Fuel penalty (scaled for trucks)
+      state.fuel = Math.max(0, state.fuel - cfg.crashFuelLoss * hitMult);
+
+      // 3) Feedback: lateral nudge + brief "slip" (consumers shake on the event)
+      player.slip = Math.max(player.slip, 250);
+      player.x += push * cfg.crashSidePushPx;
+      emit('crash', Object.assign({ mult: hitMult }, data));
+      breakCombo();
+
+      // 4) Brief invulnerability so we don't chain-hit instantly
+      player.hurt = cfg.crashInvulnMs;
+    }
+
+    // Arcade crash mode: the car is wrecked. It spins out, or explodes from
+    // explodeSpeedKmh up, loses wreckFuelLoss and comes back centred on the
+    // road after wreckMs (see respawn), untouchable until respawnInvulnMs
+    // after that. dir: -1 spins off to the left, +1 to the right.
+    function wreckPlayer(dir, data) {
+      const { player } = state;
+      const kind = player.speed >= cfg.explodeSpeedKmh ? 'explode' : 'spin';
+      player.wreck = cfg.wreckMs;
+      player.wreckKind = kind;
+      player.spinDir = dir;
+      player.slip = 0;
+      player.hurt = cfg.wreckMs + cfg.respawnInvulnMs;
+      if (kind === 'explode') player.speed = 0;
+      state.fuel = Math.max(0, state.fuel - cfg.wreckFuelLoss);
+      debris(kind, player);
+      breakCombo();
+      emit('wreck', Object.assign({ kind }, data));
+    }
+
+    function respawn() {
+      const { player } = state;
+      roadAt(state, player.y + player.h / 2, road);
+      player.x = road.x + (road.w - player.w) / 2;
+      player.wreck = 0;
+      player.wreckKind = null;
+      player.angle = 0;
+      player.hurt = cfg.respawnInvulnMs;
+      emit('respawn');
+    }
+
+    // Particles for a wreck, in world px per sim ms: fire and smoke for an
+    // explosion, smoke for a spin-out. They come from the sim's RNG like
+    // everything else, so a replay shows the same ones.
+    function debris(kind, o) {
+      const count = kind === 'explode' ? 32 : 12;
+      const cx = o.x + o.w / 2, cy = o.y + o.h / 2;
+      for (let i = 0; i < count; i++) {
+        const fire = kind === 'explode' && i % 3 !== 0;
+        const speed = fire ? 3 : 1;
+        const life = rnd(60, 160);
+        state.particles.push({
+          kind: fire ? 'fire' : 'smoke', x: cx, y: cy, size: rnd(8, 20),
+          vx: rnd(-speed, speed), vy: rnd(-speed, speed), life, ttl: life
+        });
+      }
+    }
+
+    // Advance the world by dt (ms, already scaled by gameSpeed)
+    function step(dt, input) {
+      state.events = [];
+      if (state.over) return state;
+
+      // The world holds still on the stage-clear screen until `advance`
+      const { player, stage } = state;
+      if (stage.cleared) {
+        if (input.advance) enterStage(stage.number);
+        return state;
+      }
+
+      // 2P: the host runs the traffic around the guest too; the guest mirrors it
+      const other = partner();
+      const guest = other && share.host ? other : null; // runs traffic around it too
+      const host = other && !share.host ? other : null; // mirrors its traffic
+      if (host && !mirroring) { // (re)joining: what this side has joins the host's
+        for (const key of SHARED_LISTS) for (const o of state[key]) delete o.id;
+      }
+      mirroring = !!host;
+      if (host) mirror(host, offsetFrom(host));
+
+      state.time += dt;
+      stage.time += dt;
+
+      // Run time and power-up timers are unscaled; slow motion scales the rest of the step
+      const { powers } = state;
+      for (const id of POWER_IDS) if (powers[id] > 0) powers[id] = Math.max(0, powers[id] - dt);
+      const fullDt = dt;
+      if (powers.slow > 0) dt *= SLOW_FACTOR;
+      const carDt = guest ? fullDt : dt; // traffic shared in 2P doesn't slow down for one player
+      const guestRect = guest && rivalRect(state, guest, rivalBox);
+
+      // A wrecked car (arcade crashes) can't be driven: it spins to a stop,
+      // or lies burning, until the respawn
+      const wrecked = player.wreck > 0;
+      if (wrecked) {
+        input = IDLE;
+        player.wreck -= dt;
+        player.speed = Math.max(0, player.speed - cfg.wreckBrakeKmh * dt);
+        if (player.wreckKind === 'spin') {
+          player.angle += player.spinDir * (TRAFFIC.spinTurns * 2 * Math.PI / cfg.wreckMs) * dt;
+          player.x += player.spinDir * TRAFFIC.spinDrift * dt;
+        }
+        if (player.wreck <= 0) respawn();
+      }
+
+      // Difficulty follows the stage's curve from start to finish line
+      const def = stageDef(stage.number - 1);
+      const progress = Math.min(1, stage.distance / stage.length);
+      state.difficulty = def.difficulty.start + (def.difficulty.end - def.difficulty.start) * progress
+        + lapBonus(stage.number - 1);
+
+      // ===== Cruise-control speed model =====
+      const dtSec = dt / 1000;
+
+      // Adjust targetSpeed only when holding Up/Down
+      const accelRate = 70;  // km/h per second when holding Up
+      const decelRate = 90;  // km/h per second when holding Down
+      if (input.up)   player.targetSpeed = Math.min(player.maxSpeed, player.targetSpeed + accelRate * dtSec);
+      if (input.down) player.targetSpeed = Math.max(40,               player.targetSpeed - decelRate * dtSec);
+
+      // Small temporary uplift when boosting (not huge)
+      const boostFactor = (player.boost > 0 ? 1.06 : 1.0);
+      const desired = wrecked ? 0 : Math.min(player.maxSpeed, player.targetSpeed * boostFactor);
+
+      // Ease actual speed toward desired at a limited rate (prevents rapid surge)
+      const approachPerSec = 60; // km/h per second
+      const delta = desired - player.speed;
+      const stepKmh = Math.sign(delta) * approachPerSec * dtSec;
+      if (Math.abs(delta) <= Math.abs(stepKmh)) player.speed = desired;
+      else player.speed += stepKmh;
+      state.topSpeed = Math.max(state.topSpeed, player.speed);
+      if (player.speed > SCORING.speedBonusKmh) {
+        const bonus = (player.speed - SCORING.speedBonusKmh) * SCORING.speedBonus * dtSec;
+        state.tally.speedPoints += bonus;
+        state.score += bonus;
+      }
+
+      // Base road scroll speed (gentle; boost toned down)
+      const scrollSpeed = (state.baseSpeed + player.speed * 0.16) * (1 + (player.boost > 0 ? 0.08 : 0)) * (dt / 16.666);
+      state.scroll += scrollSpeed;
+
+      // Fuel drain (per ms; already very slow overall due to gameSpeed)
+      const drain = 0.006 + (player.speed / player.maxSpeed) * 0.010 + (input.boost ? 0.008 : 0);
+      state.fuel = Math.max(0, state.fuel - drain * dt);
+      if (state.fuel <= 0 && state.lives > 0) {
+        state.lives--;
+        state.fuel = 60; // refuel partial
+        emit('lifeLost');
+      } else if (state.fuel <= 0 && state.lives <= 0) {
+        state.over = true;
+        emit('gameOver');
+      }
+
+      // Steering (responsive even at gameSpeed = 0.10)
+      // multiply by (1 / gameSpeed) so steering stays snappy.
+      let turn = player.turn;
+      if (player.slip > 0) turn *= 0.35;
+      const steerScale = (cfg.steerGain / Math.max(0.1, cfg.gameSpeed)) * (1 + player.speed / 300);
+      if (input.left)  player.x -= turn * dt * steerScale;
+      if (input.right) player.x += turn * dt * steerScale;
+      const steer = quantizeSteer(input.steer); // proportional (analog stick)
+      if (steer) player.x += steer * turn * dt * steerScale;
+
+      // Roadside: grass drags the car down and wears it, the barrier hits like a crash
+      roadAt(state, player.y + player.h / 2, road);
+      const barrierL = road.x - road.grass;
+      const barrierR = road.x + road.w + road.grass;
+      if (player.x < road.x || player.x + player.w > road.x + road.w) {
+        if (player.speed > cfg.grassMaxSpeedKmh) {
+          player.speed = Math.max(cfg.grassMaxSpeedKmh, player.speed - cfg.grassDragKmh * dtSec);
+        }
+        state.fuel = Math.max(0, state.fuel - cfg.grassFuelLoss * dtSec);
+      }
+      if (player.x < barrierL || player.x + player.w > barrierR) {
+        const push = player.x < barrierL ? 1 : -1; // bounce back toward the road
+        if (player.hurt <= 0 && cfg.wrecks) wreckPlayer(push, { barrier: true });
+        else if (player.hurt <= 0) crashPlayer(cfg.barrierMultiplier, push, { barrier: true });
+        player.x = clamp(player.x, barrierL, barrierR - player.w);
+      }
+
+      // Boost, slip, and invulnerability timers
+      if (input.boost) player.boost = 90; // shorter burst
+      if (player.boost > 0) player.boost -= dt;
+      if (player.slip  > 0) player.slip  -= dt;
+      if (player.hurt  > 0) player.hurt  -= dt;
+
+      // Move world objects downward (simulate forward motion) — toned down heavily;
+      // traffic by the difference between its speed and the player's
+      const worldScroll = (player.speed * dt) * 0.28;
+      if (host) {
+        for (const c of state.cars) c.y += worldScroll; // the host moved them along the road
+      } else {
+        driveTraffic(carDt, guestRect, guest && guest.player.speed);
+        for (const c of state.cars) c.y += (player.speed * dt - c.v * carDt) * 0.28;
+      }
+      for (const s of state.slicks) s.y += worldScroll;
+      for (const f of state.fuelCars) f.y += worldScroll;
+      for (const p of state.powerUps) p.y += worldScroll;
+      for (const p of state.particles) {
+        p.x += p.vx * dt;
+        p.y += p.vy * dt + worldScroll;
+        p.life -= dt;
+      }
+
+      // Distance accumulation (very slow); kept in step with worldScroll so
+      // roadAt() sees every object at the same spot on the road
+      const travelled = (player.speed * dt) * 0.15;
+      state.distance += travelled;
+      stage.distance += travelled;
+
+      // Scripted level events due by now
+      const { events } = stage;
+      while (stage.nextEvent < events.length && events[stage.nextEvent].at <= stage.distance) {
+        runEvent(events[stage.nextEvent++]);
+      }
+
+      // Pickups follow the road's bends (the host's already do)
+      if (!host) {
+        for (const s of state.slicks) s.x = roadAt(state, s.y, shape).x + s.u * shape.w;
+        for (const f of state.fuelCars) f.x = roadAt(state, f.y, shape).x + f.u * shape.w;
+        for (const p of state.powerUps) p.x = roadAt(state, p.y, shape).x + p.u * shape.w;
+      }
+
+      // Magnet: fuel cars in range drift toward the player (sqrt, not hypot:
+      // it's exact, so every engine agrees)
+      if (powers.magnet > 0) {
+        const px = player.x + player.w / 2, py = player.y + player.h / 2;
+        for (const f of state.fuelCars) {
+          const dx = px - (f.x + f.w / 2), dy = py - (f.y + f.h / 2);
+          const d = Math.sqrt(dx * dx + dy * dy);
+          if (d > MAGNET_RADIUS || d === 0) continue;
+          const k = Math.min(d, MAGNET_PULL * dt) / d;
+          f.x += dx * k;
+          f.y += dy * k;
+          f.u = (f.x - roadAt(state, f.y, shape).x) / shape.w;
+        }
+      }
+
+      // Points for cars passed; the traffic itself is run by whichever game owns it
+      for (const c of state.cars) if (!c.passed && c.y > player.y + player.h) scorePass(c);
+      if (!host) {
+        steerTraffic(carDt, guestRect);
+        trafficCollisions();
+      }
+
+      // Despawn & spawn (respect maxCars), per view: a 2P host keeps the guest's stocked too
+      const tops = guest ? [0, offsetFrom(guest)] : [0]; // y of each view's top in this frame
+      const inView = (top, y, below, above) => y - top < WORLD.h + below && y - top > -above;
+      const seen = (y, below, above = Infinity) => tops.some(top => inView(top, y, below, above));
+      if (!host) {
+        state.cars = state.cars.filter(c => seen(c.y, 220, TRAFFIC.despawnAbove));
+        state.slicks = state.slicks.filter(s => seen(s.y, 60));
+        state.fuelCars = state.fuelCars.filter(f => seen(f.y, 60));
+        state.powerUps = state.powerUps.filter(p => seen(p.y, 60));
+        for (const top of tops) {
+          const count = state.cars.filter(c => inView(top, c.y, 220, TRAFFIC.despawnAbove)).length;
+          if (count < rules.maxCars) spawnWave(top);
+        }
+      }
+      state.particles = state.particles.filter(p => p.life > 0);
+
+      // ---- Collisions ----
+
+      // Oil slicks -> short slip, unless on oil-proof tires
+      for (const s of state.slicks) {
+        if (aabb(player, s) && powers.tires <= 0) {
+          player.slip = 700; // mild skid on oil
+          breakCombo();
+        }
+      }
+
+      // Fuel pickups
+      state.fuelCars = state.fuelCars.filter((f) => {
+        if (!aabb(player, f)) return true;
+        state.fuel = Math.min(100, state.fuel + 28);
+        emit('fuel');
+        return false;
+      });
+
+      // Power-ups
+      state.powerUps = state.powerUps.filter((p) => {
+        if (!aabb(player, p)) return true;
+        powers[p.kind] = POWER_UPS[p.kind].ms;
+        emit('powerUp', { kind: p.kind });
+        return false;
+      });
+
+      // Traffic collisions -> slow down, don't end the game
+      for (const c of state.cars) {
+        // Side-to-side gap while alongside, for near misses
+        if (c.y < player.y + player.h && c.y + c.h > player.y) {
+          c.gap = Math.min(c.gap, Math.max(c.x - (player.x + player.w), player.x - (c.x + c.w)));
+        }
+        if (!aabb(player, c)) continue;
+        c.hit = true;
+
+        // If we're in invulnerability window, ignore further hits
+        if (player.hurt > 0) continue;
+
+        if (shieldHit({ car: c })) continue;
+
+        // Arcade crashes: a hard side-swipe wrecks the car
+        const push = player.x < c.x ? -1 : 1;
+        if (cfg.wrecks && player.speed >= cfg.wreckSpeedKmh && sideSwipe(player, c)) {
+          wreckPlayer(push, { car: c });
+          continue;
+        }
+
+        // Trucks hit harder; others normal
+        const hitMult = (c.type === TRUCK) ? cfg.crashTruckMultiplier : 1.0;
+        crashPlayer(hitMult, push, { car: c });
+
+        // Keep inside the barriers
+        player.x = clamp(player.x, barrierL, barrierR - player.w);
+      }
+
+      if (host) handBack(host, offsetFrom(host));
+
+      updateFinish();
+      if (!state.over && stage.distance >= stage.length) clearStage();
+
+      return state;
+    }
+
+    // ---------- Save & restore ----------
+    // A run in progress as plain JSON data, so it can outlive the page (see
+    // save.js). Restoring it needs the same levels loaded and the tuning it
+    // was saved with configured; from there it steps exactly as it would have.
+    function snapshot() {
+      const saved = {};
+      for (const key of Object.keys(state)) {
+        if (key !== 'road' && key !== 'events') saved[key] = state[key];
+      }
+      return {
+        version: SNAPSHOT_VERSION,
+        recording: RECORDING_VERSION,
+        rng: random.getState(),
+        state: JSON.parse(JSON.stringify(saved))
+      };
+    }
+
+    function restore(snap) {
+      if (!isSnapshot(snap)) throw new Error('restore: unsupported save');
+      const ids = nextLevels === DEFAULT_LEVELS ? [] : nextLevels.map(l => l.id);
+      if (String(snap.state.levelIds) !== String(ids)) throw new Error('restore: saved on other levels');
+      levels = nextLevels;
+      Object.assign(state, snap.state, { events: [] });
+      random = createRng(0);
+      random.setState(snap.rng);
+      rules = rulesFor(stageDef(state.stage.number - 1));
+      roadAt(state, state.player.y + state.player.h / 2, road);
+      return state;
+    }
+
+    // s: see pairGames(); null to play alone
+    function pair(s) {
+      share = s;
+      mirroring = false;
+    }
+
+    reset(cfg.seed || 0);
+
+    return { config: cfg, state, reset, step, setLevels, configure, snapshot, restore, pair, bump, crash: crashPlayer };
+  }
+
+  // ---------- Two players ----------
+  // In 2P each player runs their own game on the same seed and levels, so
+  // both drive the same road, and pairGames() has them share its traffic.
+  // When they're on the same stage, `other`'s car maps into `state`'s frame
+  // by the distance between them.
+  function rivalRect(state, other, out = {}) {
+    if (!other.player || other.stage.number !== state.stage.number) return null;
+    out.x = other.player.x;
+    out.y = state.player.y - (other.stage.distance - state.stage.distance) * PX_PER_M;
+    out.w = other.player.w;
+    out.h = other.player.h;
+    return out;
+  }
+
+  // Both players race through one set of traffic and pickups: `host` runs it
+  // (step it first), `guest` mirrors it. Ids tie the two sides' copies together.
+  function pairGames(host, guest) {
+    const ids = { next: 0 };
+    host.pair({ host: true, other: guest, ids });
+    guest.pair({ host: false, other: host, ids });
+  }
+
+  // Players who touch bump each other like traffic does; true on a bump.
+  // Call after both games have stepped.
+  const rivalScratch = {};
+  function bumpPlayers(a, b) {
+    const sa = a.state, sb = b.state;
+    if (sa.over || sb.over || sa.stage.cleared || sb.stage.cleared) return false;
+    if (sa.player.hurt > 0 || sb.player.hurt > 0) return false;
+    if (!aabb(sa.player, rivalRect(sa, sb, rivalScratch))) return false;
+    const push = sa.player.x < sb.player.x ? -1 : 1;
+    a.bump(push);
+    b.bump(-push);
+    return true;
+  }
+
+  // Online ghosts (net.js) are just an x and a total distance: place one
+  // relative to this player, the same size as their car
+  function ghostRect(state, ghost, out = {}) {
+    out.x = ghost.x;
+    out.y = state.player.y - (ghost.distance - state.distance) * PX_PER_M;
+    out.w = state.player.w;
+    out.h = state.player.h;
+    return out;
+  }
+
+  // ---------- Replays ----------
+  // A run is its seed plus the dt and input of every step; replaying those
+  // frames against the same seed, levels and tuning reproduces the run exactly.
+  const RECORDING_VERSION = 8;
+
+  // Step dt is quantized to 0.1 ms so it survives the trip through a compact
+  // log unchanged: quantizeDt(dt) === units / 10 with units = round(dt * 10).
+  const quantizeDt = (dt) => Math.round(dt * 10) / 10;
+
+  // Saved runs (game.snapshot) from another state layout or other rules
+  // can't be restored; bump when the state gains or changes fields
+  const SNAPSHOT_VERSION = 1;
+  const isSnapshot = (snap) =>
+    !!snap && snap.version === SNAPSHOT_VERSION && snap.recording === RECORDING_VERSION &&
+    typeof snap.rng === 'number' && !!snap.state && !!snap.state.player && !!snap.state.stage;
+
+  // Compact wire form of recorded frames: runs of [dtUnits, bits, count]
+  function compactFrames(frames) {
+    const log = [];
+    let run = null;
+    for (const [dt, bits] of frames) {
+      const units = Math.round(dt * 10);
+      if (run && run[0] === units && run[1] === bits) run[2]++;
+      else log.push(run = [units, bits, 1]);
+    }
+    return log;
+  }
+  function expandFrames(log) {
+    const frames = [];
+    for (const [units, bits, count] of log) {
+      for (let i = 0; i < count; i++) frames.push([units / 10, bits]);
+    }
+    return frames;
+  }
+
+  // Re-run a recording headlessly and return the final state
+  function replay(run, config = {}) {
+    if (!run || run.version !== RECORDING_VERSION || !Array.isArray(run.frames)) {
+      throw new Error('replay: unsupported recording');
+    }
+    const game = createGame(Object.assign({}, config, tuningConfig(run.tuning), { seed: run.seed }));
+    const input = decodeInput(0);
+    for (const [dt, bits] of run.frames) {
+      if (game.state.over) break;
+      game.step(dt, decodeInput(bits, input));
+    }
+    return game.state;
+  }
+
+  return {
+    WORLD, GRASS_W, DEFAULTS, CRASH_MODES, DIFFICULTIES, TUNING_LIMITS, DEFAULT_LEVELS, CAR_TYPES, INPUT_KEYS, INPUT_BITS,
+    RECORDING_VERSION, SNAPSHOT_VERSION, TRAFFIC, SCORING, POWER_UPS, POWER_IDS, tuningConfig, comboMultiplier,
+    createGame, createRng, encodeInput, decodeInput, replay, roadAt, rivalRect, pairGames, bumpPlayers, ghostRect,
+    aabb, clamp, quantizeDt, compactFrames, expandFrames, isSnapshot
+  };
+});
@@ -0,0 +1,114 @@
+
+/* Road Runner TV – touch controls (phones and tablets on the gh-pages build)
+   Hold the left/right half of the screen to steer, or drag sideways for
+   proportional steering; swipe up/down for target speed; tap to boost.
+   Every finger is tracked separately, so steering and boost work together.
+*/
+
+(function (root) {
+  const TAP_MS = 150;         // a touch released sooner than this (and not moved) is a tap
+  const TAP_MOVE_PX = 14;     // …and must stay within this radius
+  const DRAG_PX = 24;         // horizontal travel that turns a hold into drag-to-steer
+  const DRAG_RANGE_PX = 140;  // drag distance for full steering lock
+  const SWIPE_PX = 60;        // vertical travel for a speed swipe
+  const SWIPE_HOLD_MS = 1500; // a swipe keeps adjusting speed this long after release
+  const BOOST_TAP_MS = 250;   // boost held per tap
+
+  const now = () => performance.now();
+
+  // Checked once at boot; a first real touch also flips the UI over
+  const hasTouch = () => ('ontouchstart' in window) || navigator.maxTouchPoints > 0
+    || (window.matchMedia && window.matchMedia('(pointer: coarse)').matches);
+
+  // onFirstTouch() fires the first time a finger lands on the target
+  function createTouchInput(target, { onFirstTouch } = {}) {
+    const touches = new Map(); // pointerId -> { x0, y0, x, y, t0, mode }
+    let seenTouch = false;
+    let boostUntil = 0;
+    let swipe = { dir: 0, until: 0 }; // last speed swipe: +1 up, -1 down
+
+    const state = { left: false, right: false, up: false, down: false, boost: false, steer: 0 };
+
+    const isTouch = (e) => e.pointerType === 'touch' || e.pointerType === 'pen';
+
+    target.addEventListener('pointerdown', (e) => {
+      if (!isTouch(e)) return;
+      if (!seenTouch) {
+        seenTouch = true;
+        if (onFirstTouch) onFirstTouch();
+      }
+      touches.set(e.pointerId, { x0: e.clientX, y0: e.clientY, x: e.clientX, y: e.clientY, t0: now(), mode: 'pending' });
+      if (target.setPointerCapture) target.setPointerCapture(e.pointerId);
+      e.preventDefault();
+    });
+
+    target.addEventListener('pointermove', (e) => {
+      const t = touches.get(e.pointerId);
+      if (!t) return;
+      t.x = e.clientX;
+      t.y = e.clientY;
+      const dx = t.x - t.x0, dy = t.y - t.y0;
+
+      if (t.mode !== 'swipe' && Math.abs(dy) > SWIPE_PX && Math.abs(dy) > Math.abs(dx) * 1.5) {
+        t.mode = 'swipe';
+        t.dir = dy < 0 ? 1 : -1;
+      } else if (t.mode === 'pending' || t.mode === 'hold') {
+        if (Math.abs(dx) > DRAG_PX) t.mode = 'drag';
+      }
+    });
+
+    function release(e) {
+      const t = touches.get(e.pointerId);
+      if (!t) return;
+      touches.delete(e.pointerId);
+      const moved = Math.hypot(t.x - t.x0, t.y - t.y0);
+      if (t.mode === 'pending' && now() - t.t0 < TAP_MS && moved < TAP_MOVE_PX) {
+        boostUntil = now() + BOOST_TAP_MS;
+      } else if (t.mode === 'swipe') {
+        swipe = { dir: t.dir, until: now() + SWIPE_HOLD_MS };
+      }
+    }
+    target.addEventListener('pointerup', release);
+    target.addEventListener('pointercancel', release);
+
+    // Merge every active finger into one input snapshot
+    function poll() {
+      const t = now();
+      state.left = state.right = false;
+      state.steer = 0;
+      let swipeDir = t < swipe.until ? swipe.dir : 0;
+
+      const rect = touches.size ? target.getBoundingClientRect() : null;
+      const mid = rect ? rect.left + rect.width / 2 : 0;
+      for (const p of touches.values()) {
+        if (p.mode === 'pending' && t - p.t0 >= TAP_MS) p.mode = 'hold';
+
+        if (p.mode === 'hold') {
+          if (p.x0 < mid) state.left = true;
+          else state.right = true;
+        } else if (p.mode === 'drag') {
+          state.steer += (p.x - p.x0) / DRAG_RANGE_PX;
+        } else if (p.mode === 'swipe') {
+          swipeDir = p.dir; // held swipes keep adjusting until released
+        }
+      }
+
+      state.steer = Math.max(-1, Math.min(1, state.steer));
+      state.up = swipeDir > 0;
+      state.down = swipeDir < 0;
+      state.boost = t < boostUntil;
+      return state;
+    }
+
+    // Drop every finger (e.g. when an overlay opens on top of the canvas)
+    function clear() {
+      touches.clear();
+      boostUntil = 0;
+      swipe = { dir: 0, until: 0 };
+    }
+
+    return { poll, clear };
+  }
+
+  (root.RoadRunner = root.RoadRunner || {}).touch = { createTouchInput, hasTouch };
+})(window);
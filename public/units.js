@@ -0,0 +1,40 @@
+
+/* Road Runner TV – display units
+   The sim works in km/h and metres; everything the player reads goes through
+   here in their chosen system (the Units setting), with digits grouped the
+   way their language writes them.
+*/
+
+(function (root) {
+  const METRES_PER_MILE = 1609.344;
+
+  const SYSTEMS = {
+    metric:   { speed: 'km/h', perKmh: 1 },
+    imperial: { speed: 'mph', perKmh: 0.621371 }
+  };
+
+  function createUnits(system = 'metric', locale = 'en') {
+    let name = SYSTEMS[system] ? system : 'metric';
+    let lang = locale;
+
+    const num = (n, decimals = 0) => n.toLocaleString(lang, { minimumFractionDigits: decimals, maximumFractionDigits: decimals });
+
+    // Metric is always metres; imperial is feet, then miles from one mile up
+    function distance(m) {
+      if (name === 'metric') return `${num(Math.floor(m))} m`;
+      if (m < METRES_PER_MILE) return `${num(Math.floor(m * 3.28084))} ft`;
+      return `${num(Math.floor(m / METRES_PER_MILE * 100) / 100, 2)} mi`;
+    }
+
+    return {
+      set(system) { name = SYSTEMS[system] ? system : 'metric'; },
+      setLocale(locale) { lang = locale; },
+      speed: (kmh) => `${num(Math.round(kmh * SYSTEMS[name].perKmh))} ${SYSTEMS[name].speed}`,
+      distance,
+      // Plain counts (score, points), grouped the same way
+      count: (n) => num(Math.floor(n))
+    };
+  }
+
+  (root.RoadRunner = root.RoadRunner || {}).units = { createUnits, SYSTEMS };
+})(window);
@@ -0,0 +1,69 @@
+// scripts/check-versus.js (ESM)
+// Checks that both 2P players race through the same traffic: pairs two games
+// on a few seeds, drives them differently, and after every step compares the
+// cars and pickups each one has, mapped into player 1's frame. Exits 1 on a mismatch.
+//   node scripts/check-versus.js [seconds]
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const sim = require('../public/sim.js');
+
+const SECONDS = Number(process.argv[2]) || 90;
+const SEEDS = [1, 42, 20240601];
+const LISTS = ['cars', 'slicks', 'fuelCars', 'powerUps'];
+const FRAME_MS = 1000 / 60;
+const EPSILON = 1e-6;
+const ADVANCE = { advance: true };
+const road = {};
+
+// Player 1 weaves every few seconds; player 2 hugs the other side and lifts now and then
+function drive(state, elapsed, period, flip) {
+  sim.roadAt(state, state.player.y, road);
+  const lane = Math.floor(elapsed / period) % road.lanes;
+  const target = road.x + ((flip ? road.lanes - 1 - lane : lane) + 0.5) * (road.w / road.lanes) - state.player.w / 2;
+  const steer = sim.clamp((target - state.player.x) / 100, -1, 1);
+  return { up: !flip || elapsed % 7000 > 1500, boost: flip && elapsed % 5000 < 2000, left: false, right: false, steer };
+}
+
+// First difference between the two games' lists, or null
+function compare(host, guest) {
+  const off = sim.rivalRect(host, guest).y - guest.player.y; // guest y + off = host y
+  for (const key of LISTS) {
+    const mine = new Map(host[key].map(o => [o.id, o]));
+    if (host[key].length !== guest[key].length) return `${key}: ${host[key].length} for player 1, ${guest[key].length} for player 2`;
+    for (const o of guest[key]) {
+      const h = mine.get(o.id);
+      if (!h) return `${key}: #${o.id} only for player 2`;
+      if (Math.abs(h.x - o.x) > EPSILON || Math.abs(h.y - (o.y + off)) > EPSILON) {
+        return `${key}: #${o.id} at ${h.x.toFixed(2)},${h.y.toFixed(2)} for player 1, ${o.x.toFixed(2)},${(o.y + off).toFixed(2)} for player 2`;
+      }
+    }
+  }
+  return null;
+}
+
+let failed = false;
+for (const seed of SEEDS) {
+  const a = sim.createGame({ seed }), b = sim.createGame({ seed });
+  sim.pairGames(a, b);
+  let shared = 0, bumps = 0, problem = null;
+  for (let elapsed = 0; elapsed < SECONDS * 1000 && !problem; elapsed += FRAME_MS) {
+    const dt = sim.quantizeDt(FRAME_MS * a.config.gameSpeed);
+    a.step(dt, drive(a.state, elapsed, 4000, false));
+    b.step(dt, drive(b.state, elapsed, 2500, true));
+    if (sim.bumpPlayers(a, b)) bumps++;
+    const [sa, sb] = [a.state, b.state];
+    const live = (s) => !s.over && !s.stage.cleared;
+    if (live(sa) && live(sb) && sa.stage.number === sb.stage.number) {
+      shared++;
+      problem = compare(sa, sb);
+      if (problem) problem = `${(elapsed / 1000).toFixed(2)} s: ${problem}`;
+    }
+    for (const g of [a, b]) if (g.state.stage.cleared) g.step(0, ADVANCE);
+    if (sa.over && sb.over) break;
+  }
+  if (!shared) problem = 'the players never shared a stage';
+  console.log(`seed ${seed}: ${shared} shared steps, ${bumps} bumps: ${problem || 'ok'}`);
+  failed = failed || !!problem;
+}
+process.exit(failed ? 1 : 0);
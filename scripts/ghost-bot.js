@@ -0,0 +1,66 @@
+// scripts/ghost-bot.js (ESM)
+// A racer for trying ghost racing without a second screen: joins a room on the
+// race server and drives the real sim on the built-in level, weaving between
+// lanes, sending snapshots like a browser does. Logs what the room does.
+//   node scripts/ghost-bot.js [room] [name] [url]
+import WebSocket from 'ws';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const sim = require('../public/sim.js');
+
+const [room = 'test', name = 'Bot', url = 'ws://localhost:3000/ws'] = process.argv.slice(2);
+const FRAME_MS = 1000 / 60;
+const SNAPSHOT_MS = 100;
+
+const game = sim.createGame({ seed: Date.now() >>> 0 });
+const input = { up: true, left: false, right: false, boost: false, steer: 0 };
+const road = {};
+let lag = 0;
+
+const ws = new WebSocket(url);
+const send = (msg) => ws.send(JSON.stringify(msg));
+
+ws.on('open', () => {
+  console.log(`connected to ${url}, joining "${room}" as ${name}`);
+  send({ type: 'join', room, name });
+  send({ type: 'ping', t: Date.now() });
+});
+
+ws.on('message', (data) => {
+  const msg = JSON.parse(data);
+  if (msg.type === 'pong') lag = (Date.now() - msg.t) / 2;
+  else if (msg.type === 'joined') console.log(`in room ${msg.room} as #${msg.id} with ${msg.peers.map(p => p.name).join(', ') || 'nobody yet'}`);
+  else if (msg.type === 'peer') console.log(`${msg.name} joined`);
+  else if (msg.type === 'left') console.log(`#${msg.id} ${msg.reason}`);
+  else if (msg.type === 'lobby') console.log(`lobby: ${msg.rooms.map(r => `${r.name} (${r.players.join(', ')})`).join('; ') || 'empty'}`);
+  else if (msg.type === 'error') console.log(`server: ${msg.message}`);
+});
+
+ws.on('close', () => {
+  console.log('disconnected');
+  process.exit(0);
+});
+
+// Drive: aim for a lane that changes every few seconds, restart when out
+let elapsed = 0, lastSnap = 0;
+setInterval(() => {
+  elapsed += FRAME_MS;
+  const { state } = game;
+  if (state.over) game.reset(Date.now() >>> 0);
+  if (state.stage.cleared) game.step(0, { advance: true });
+
+  sim.roadAt(state, state.player.y, road);
+  const lane = Math.floor(elapsed / 4000) % road.lanes;
+  const target = road.x + (lane + 0.5) * (road.w / road.lanes) - state.player.w / 2;
+  input.steer = sim.clamp((target - state.player.x) / 100, -1, 1);
+  game.step(sim.quantizeDt(FRAME_MS * game.config.gameSpeed), input);
+
+  if (ws.readyState === WebSocket.OPEN && elapsed - lastSnap >= SNAPSHOT_MS) {
+    lastSnap = elapsed;
+    const { player } = state;
+    send({ type: 'snap', x: player.x, distance: state.distance, speed: player.speed, stage: state.stage.number, over: state.over, lag });
+  }
+}, FRAME_MS);
+
+process.on('SIGINT', () => ws.close());
@@ -1,13 +1,64 @@
 // server.js (ESM)
 import express from 'express';
+import { createScoreStore, validateScore, SCORE_LIMITS } from './server/scores.js';
+import { verifyRunInWorker } from './server/verify.js';
+import { createLevelStore } from './server/levels.js';
+import { attachRaceServer } from './server/race.js';
+
 const app = express();
 
 const port = process.env.PORT || 3000;
+const scores = createScoreStore(process.env.SCORES_FILE || 'data/scores.json');
+const levels = createLevelStore(process.env.LEVELS_DIR || 'public/levels');
 
 app.use(express.static('public'));
+app.use(express.json({ limit: '2mb' })); // score submissions carry their input log
 
 app.get('/api/health', (_req, res) => res.json({ ok: true }));
 
-app.listen(port, () => {
+// ---------- Leaderboard ----------
+const listLimit = (req) => Math.min(SCORE_LIMITS.listMax, Math.max(1, parseInt(req.query.limit, 10) || 10));
+
+app.get('/api/scores', async (req, res) => {
+  res.json({ scores: await scores.list(listLimit(req)) });
+});
+
+app.post('/api/scores', async (req, res) => {
+  const { score, errors } = validateScore(req.body);
+  if (errors) return res.status(400).json({ error: 'invalid score', details: errors });
+
+  // Only keep scores the simulation reproduces from the submitted seed + input
+  // log, on the same levels the run was played on
+  const runLevels = await levels.resolve(req.body.run && req.body.run.levels);
+  if (!runLevels) return res.status(422).json({ error: 'score rejected', details: ['run.levels names an unknown level'] });
+  const verified = await verifyRunInWorker(score, req.body.run, runLevels);
+  if (verified.busy) return res.status(503).json({ error: 'score not verified', details: verified.errors });
+  if (verified.errors) return res.status(422).json({ error: 'score rejected', details: verified.errors });
+
+  const rank = await scores.add(verified.score);
+  res.status(201).json({ rank, scores: await scores.list(listLimit(req)) });
+});
+
+// ---------- Levels ----------
+app.get('/api/levels', async (_req, res) => {
+  res.json({ levels: await levels.list() });
+});
+
+app.get('/api/levels/:id', async (req, res) => {
+  const level = await levels.get(req.params.id);
+  if (!level) return res.status(404).json({ error: 'level not found' });
+  res.json(level);
+});
+
+// Malformed or oversized JSON bodies get a JSON error like validation failures do
+app.use((err, _req, res, next) => {
+  if (!err.status || err.status >= 500) return next(err);
+  res.status(err.status).json({ error: err.expose ? err.message : 'bad request' });
+});
+
+const server = app.listen(port, () => {
   console.log(`Server listening on http://localhost:${port}`);
-});
\ No newline at end of file
+});
+
+// ---------- Ghost racing ----------
+attachRaceServer(server, { path: '/ws' });
@@ -0,0 +1,67 @@
+// server/levels.js (ESM)
+// Level files for /api/levels: <dir>/index.json lists level ids in play order
+// and <dir>/<id>.json holds each level (format and validator in
+// public/levels.js). Files are read per request, so edits show up without a
+// restart; invalid ones are skipped with a warning naming the problems.
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { validateLevel, validateIndex, ID_PATTERN } = require('../public/levels.js');
+
+export function createLevelStore(dir) {
+  const readJson = async (file) => JSON.parse(await readFile(path.join(dir, file), 'utf8'));
+
+  // The level with this id, or null if it's missing or invalid
+  async function get(id) {
+    if (typeof id !== 'string' || !ID_PATTERN.test(id)) return null;
+    let level;
+    try {
+      level = await readJson(`${id}.json`);
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`levels: ${id}.json: ${err.message}`);
+      return null;
+    }
+    const errors = validateLevel(level);
+    if (!errors.length && level.id !== id) errors.push(`id "${level.id}" does not match the file name`);
+    if (errors.length) {
+      console.warn(`levels: skipping ${id}.json: ${errors.join('; ')}`);
+      return null;
+    }
+    return level;
+  }
+
+  // Every valid level from index.json, in play order
+  async function all() {
+    let index;
+    try {
+      index = await readJson('index.json');
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`levels: index.json: ${err.message}`);
+      return [];
+    }
+    const errors = validateIndex(index);
+    if (errors.length) {
+      console.warn(`levels: index.json: ${errors.join('; ')}`);
+      return [];
+    }
+    return (await Promise.all(index.levels.map(get))).filter(Boolean);
+  }
+
+  // Summaries for the level list
+  async function list() {
+    return (await all()).map(({ id, name, length }) => ({ id, name, length }));
+  }
+
+  // Levels for a run's recorded ids: [] for the sim's built-in level,
+  // null if any id is unknown
+  async function resolve(ids) {
+    if (ids === undefined || (Array.isArray(ids) && !ids.length)) return [];
+    if (!Array.isArray(ids) || ids.length > 50) return null;
+    const levels = await Promise.all(ids.map(get));
+    return levels.every(Boolean) ? levels : null;
+  }
+
+  return { list, get, resolve };
+}
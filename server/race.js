@@ -0,0 +1,132 @@
+// server/race.js (ESM)
+// Ghost racing over WebSockets. Racers join a room and send snapshots of their
+// car (x, distance, speed); the server stamps each one with its clock and
+// relays it to the rest of the room. Clients connected outside a room get the
+// lobby: every open room and who is in it. Protocol, all JSON:
+//   client → server: ping { t } • join { room, name } • leave • snap { x, distance, speed, stage, over, lag }
+//   server → client: pong { t, server } • lobby { rooms } • joined { room, id, peers } • peer { id, name }
+//                    left { id, reason } • snap { id, at, lag, x, distance, speed, stage, over } • error { message }
+import { WebSocketServer } from 'ws';
+
+export const RACE_LIMITS = {
+  rooms: 50,              // open at once
+  roomSize: 8,            // racers per room
+  nameMax: 16,            // characters, as on the leaderboard
+  messageBytes: 1024,     // larger frames close the socket
+  snapshotMs: 50,         // faster snapshots are dropped (clients send every 100 ms)
+  lagMax: 1000,           // ms a sender may claim its snapshots are late by
+  heartbeatMs: 10_000     // sockets that miss a ping this long are dropped
+};
+
+const ROOM_PATTERN = /^[a-z0-9][a-z0-9-]{0,23}$/;
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+const cleanName = (v) => (typeof v === 'string' ? v : '').replace(/[\u0000-\u001f\u007f<>]/g, '')
+  .trim().replace(/\s+/g, ' ').slice(0, RACE_LIMITS.nameMax) || 'Racer';
+
+export function attachRaceServer(server, { path = '/ws' } = {}) {
+  const wss = new WebSocketServer({ server, path, maxPayload: RACE_LIMITS.messageBytes });
+  const rooms = new Map();   // room name -> Set of clients
+  const clients = new Set();
+  let nextId = 1;
+
+  const send = (client, msg) => {
+    if (client.ws.readyState === client.ws.OPEN) client.ws.send(JSON.stringify(msg));
+  };
+  const sendRoom = (room, msg, except) => {
+    for (const c of rooms.get(room) || []) if (c !== except) send(c, msg);
+  };
+
+  function lobby() {
+    return [...rooms].map(([name, members]) => ({ name, players: [...members].map(c => c.name) }));
+  }
+  // Rooms changed: everyone's menu shows the lobby, so everyone gets it
+  function broadcastLobby() {
+    const msg = { type: 'lobby', rooms: lobby() };
+    for (const c of clients) send(c, msg);
+  }
+
+  function leave(client, reason) {
+    const members = client.room && rooms.get(client.room);
+    if (!members) return;
+    members.delete(client);
+    if (!members.size) rooms.delete(client.room);
+    else sendRoom(client.room, { type: 'left', id: client.id, reason });
+    client.room = null;
+    broadcastLobby();
+  }
+
+  function join(client, msg) {
+    const room = typeof msg.room === 'string' ? msg.room.toLowerCase() : '';
+    if (!ROOM_PATTERN.test(room)) return send(client, { type: 'error', message: 'room names are 1–24 letters, digits or dashes' });
+    const members = rooms.get(room);
+    if (!members && rooms.size >= RACE_LIMITS.rooms) return send(client, { type: 'error', message: 'too many rooms are open' });
+    if (members && !members.has(client) && members.size >= RACE_LIMITS.roomSize) return send(client, { type: 'error', message: 'room is full' });
+
+    if (client.room) leave(client, 'left');
+    client.name = cleanName(msg.name);
+    client.room = room;
+    if (!members) rooms.set(room, new Set());
+    const peers = [...rooms.get(room)].map(c => ({ id: c.id, name: c.name }));
+    rooms.get(room).add(client);
+    send(client, { type: 'joined', room, id: client.id, peers });
+    sendRoom(room, { type: 'peer', id: client.id, name: client.name }, client);
+    broadcastLobby();
+  }
+
+  // Relay a car snapshot, stamped with the server clock for the receivers' lag compensation
+  function snap(client, msg) {
+    if (!client.room) return;
+    const now = Date.now();
+    if (now - client.lastSnap < RACE_LIMITS.snapshotMs) return;
+    if (!isNum(msg.x) || !isNum(msg.distance) || !isNum(msg.speed)) return;
+    client.lastSnap = now;
+    sendRoom(client.room, {
+      type: 'snap',
+      id: client.id,
+      at: now,
+      lag: isNum(msg.lag) ? Math.min(RACE_LIMITS.lagMax, Math.max(0, msg.lag)) : 0,
+      x: msg.x,
+      distance: msg.distance,
+      speed: msg.speed,
+      stage: isNum(msg.stage) ? msg.stage : 1,
+      over: !!msg.over
+    }, client);
+  }
+
+  wss.on('connection', (ws) => {
+    const client = { ws, id: nextId++, name: 'Racer', room: null, alive: true, lastSnap: 0 };
+    clients.add(client);
+    ws.on('pong', () => { client.alive = true; });
+    ws.on('message', (data) => {
+      let msg;
+      try { msg = JSON.parse(data); } catch (_) { return; }
+      if (!msg || typeof msg !== 'object') return;
+      if (msg.type === 'ping') send(client, { type: 'pong', t: msg.t, server: Date.now() });
+      else if (msg.type === 'snap') snap(client, msg);
+      else if (msg.type === 'join') join(client, msg);
+      else if (msg.type === 'leave') leave(client, 'left');
+    });
+    // Oversized or malformed frames: drop the socket, and 'close' cleans up
+    ws.on('error', () => ws.terminate());
+    ws.on('close', () => {
+      clients.delete(client);
+      leave(client, 'disconnected');
+    });
+    send(client, { type: 'lobby', rooms: lobby() });
+  });
+
+  // Closed tabs and sleeping TVs don't always close their socket: ping, and
+  // drop whoever didn't answer the last one
+  const heartbeat = setInterval(() => {
+    for (const c of clients) {
+      if (!c.alive) { c.ws.terminate(); continue; }
+      c.alive = false;
+      c.ws.ping();
+    }
+  }, RACE_LIMITS.heartbeatMs);
+  wss.on('close', () => clearInterval(heartbeat));
+  wss.on('error', (err) => console.warn(`race: ${err.message}`));
+
+  return wss;
+}
@@ -0,0 +1,95 @@
+// server/scores.js (ESM)
+// File-backed high-score store behind /api/scores.
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+
+export const SCORE_LIMITS = {
+  nameMax: 16,              // characters
+  distanceMax: 10_000_000,  // m
+  topSpeedMax: 250,         // km/h (player.maxSpeed is 200, boost adds a little)
+  durationMax: 12 * 3600e3, // ms of play
+  keep: 100,                // entries kept on disk
+  listMax: 50               // most a client may ask for at once
+};
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// Validate a submitted score; returns { score } or { errors: [...] }
+export function validateScore(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object') return { errors: ['body must be a JSON object'] };
+
+  const name = typeof body.name === 'string' ? body.name.trim().replace(/\s+/g, ' ') : '';
+  if (!name) errors.push('name is required');
+  else if (name.length > SCORE_LIMITS.nameMax) errors.push(`name must be at most ${SCORE_LIMITS.nameMax} characters`);
+  else if (/[\u0000-\u001f\u007f<>]/.test(name)) errors.push('name contains invalid characters');
+
+  const range = (key, max) => {
+    const v = body[key];
+    if (!isNum(v)) errors.push(`${key} must be a number`);
+    else if (v < 0 || v > max) errors.push(`${key} must be between 0 and ${max}`);
+  };
+  range('distance', SCORE_LIMITS.distanceMax);
+  range('topSpeed', SCORE_LIMITS.topSpeedMax);
+  range('duration', SCORE_LIMITS.durationMax);
+
+  if (errors.length) return { errors };
+  return {
+    score: {
+      name,
+      distance: Math.floor(body.distance),
+      topSpeed: Math.round(body.topSpeed),
+      duration: Math.round(body.duration)
+    }
+  };
+}
+
+// Longest distance first; ties go to the faster run, then the earlier one
+const byRank = (a, b) => (b.distance - a.distance) || (a.duration - b.duration) || (a.date < b.date ? -1 : 1);
+
+export function createScoreStore(file, { keep = SCORE_LIMITS.keep } = {}) {
+  let scores = null;            // loaded lazily
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (scores) return scores;
+    try {
+      const data = JSON.parse(await readFile(file, 'utf8'));
+      scores = Array.isArray(data.scores) ? data.scores : [];
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`scores: ignoring unreadable ${file}: ${err.message}`);
+      scores = [];
+    }
+    return scores;
+  }
+
+  // Writes are chained so concurrent submissions never interleave on disk
+  function save() {
+    const snapshot = JSON.stringify({ version: 1, scores }, null, 2);
+    writing = writing.catch(() => {}).then(async () => {
+      await mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await writeFile(tmp, snapshot);
+      await rename(tmp, file);
+    });
+    return writing;
+  }
+
+  async function list(limit = 10) {
+    await load();
+    return scores.slice(0, limit).map((s, i) => ({ rank: i + 1, ...s }));
+  }
+
+  // Insert a validated score; resolves to its rank (0 if it didn't make the cut)
+  async function add(score) {
+    await load();
+    const entry = { ...score, date: new Date().toISOString() };
+    scores.push(entry);
+    scores.sort(byRank);
+    scores.length = Math.min(scores.length, keep);
+    await save();
+    return scores.indexOf(entry) + 1;
+  }
+
+  return { list, add };
+}
@@ -0,0 +1,7 @@
+// server/verify-worker.js (ESM)
+// One replay for verifyRunInWorker(), off the server's main thread
+import { parentPort, workerData } from 'node:worker_threads';
+import { verifyRun } from './verify.js';
+
+const { claimed, run, levels } = workerData;
+parentPort.postMessage(verifyRun(claimed, run, levels));
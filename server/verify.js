@@ -0,0 +1,111 @@
+// server/verify.js (ESM)
+// Re-simulates a submitted run headlessly so /api/scores only accepts scores
+// the game itself produced. Uses the exact same public/sim.js as the browser.
+import { createRequire } from 'node:module';
+import { Worker } from 'node:worker_threads';
+
+const require = createRequire(import.meta.url);
+const sim = require('../public/sim.js');
+
+export const RUN_LIMITS = {
+  frameMax: 600_000, // ~2.8 h at 60 fps; replay cost grows linearly with this
+  dtUnitsMax: 320,   // 32 ms at game speed 1.0, in 0.1 ms units: the fixed tick, or an older run's frame clamp
+  bitsMax: (1 << sim.INPUT_BITS) - 1
+};
+
+// Replays run in worker threads (verifyRunInWorker): a maximum-length log
+// takes ~8 s (~14 µs a frame), which would stall the API and the race relay
+export const VERIFY_LIMITS = {
+  timeoutMs: 30_000, // a replay still going after this is dropped
+  concurrent: 2      // replays at once; more submissions are turned away as busy
+};
+let verifying = 0;
+
+const isUint = (v, max) => Number.isInteger(v) && v >= 0 && v <= max;
+
+// { gameSpeed, steerGain, difficulty, crashMode } as the settings screen records them
+function isTuning(t) {
+  if (!t || typeof t !== 'object') return false;
+  if (t.difficulty !== undefined && !Object.hasOwn(sim.DIFFICULTIES, t.difficulty)) return false;
+  if (t.crashMode !== undefined && !Object.hasOwn(sim.CRASH_MODES, t.crashMode)) return false;
+  return Object.entries(sim.TUNING_LIMITS).every(([key, [min, max]]) =>
+    t[key] === undefined || (typeof t[key] === 'number' && t[key] >= min && t[key] <= max));
+}
+
+// Shape check before spending CPU on a replay; returns a list of problems
+function checkRun(run) {
+  if (!run || typeof run !== 'object') return ['run is required'];
+  if (run.version !== sim.RECORDING_VERSION) return [`run.version must be ${sim.RECORDING_VERSION}`];
+  if (!isUint(run.seed, 0xFFFFFFFF)) return ['run.seed must be a 32-bit unsigned integer'];
+  if (run.tuning !== undefined && !isTuning(run.tuning)) return ['run.tuning has an unknown difficulty or crash mode, or a value out of range'];
+  if (!Array.isArray(run.log) || !run.log.length) return ['run.log must be a non-empty array'];
+
+  let frames = 0;
+  for (const entry of run.log) {
+    if (!Array.isArray(entry) || entry.length !== 3
+      || !isUint(entry[0], RUN_LIMITS.dtUnitsMax)
+      || !isUint(entry[1], RUN_LIMITS.bitsMax)
+      || !isUint(entry[2], RUN_LIMITS.frameMax) || entry[2] === 0) {
+      return ['run.log entries must be [dtUnits, inputBits, count]'];
+    }
+    frames += entry[2];
+    if (frames > RUN_LIMITS.frameMax) return [`run is longer than ${RUN_LIMITS.frameMax} frames`];
+  }
+  return [];
+}
+
+// Replay `run` on `levels` (resolved from run.levels; [] = the sim's built-in
+// level) with its tuning and compare the outcome with the claimed score.
+// Returns { score } with the recomputed numbers, or { errors }.
+export function verifyRun(claimed, run, levels = []) {
+  const errors = checkRun(run);
+  if (errors.length) return { errors };
+
+  const game = sim.createGame(Object.assign(sim.tuningConfig(run.tuning), { seed: run.seed, levels }));
+  const input = sim.decodeInput(0);
+  const frames = sim.expandFrames(run.log);
+  let i = 0;
+  for (; i < frames.length && !game.state.over; i++) {
+    const [dt, bits] = frames[i];
+    game.step(dt, sim.decodeInput(bits, input));
+  }
+
+  const { state, config } = game;
+  if (!state.over) return { errors: ['run does not end in game over'] };
+  if (i !== frames.length) return { errors: ['run continues after game over'] };
+
+  const result = {
+    distance: Math.floor(state.distance),
+    topSpeed: Math.round(state.topSpeed),
+    duration: Math.round(state.time / config.gameSpeed)
+  };
+  for (const key of Object.keys(result)) {
+    if (result[key] !== claimed[key]) errors.push(`${key} does not match the replay (${claimed[key]} vs ${result[key]})`);
+  }
+  return errors.length ? { errors } : { score: Object.assign({}, claimed, result) };
+}
+
+// verifyRun() in a worker thread, after the shape check here so oversized
+// logs never reach one. Resolves to { score } or { errors }, plus busy: true
+// when too many replays are already running.
+export function verifyRunInWorker(claimed, run, levels = []) {
+  const errors = checkRun(run);
+  if (errors.length) return Promise.resolve({ errors });
+  if (verifying >= VERIFY_LIMITS.concurrent) return Promise.resolve({ busy: true, errors: ['the server is busy verifying other runs, try again'] });
+
+  verifying++;
+  return new Promise((resolve) => {
+    const worker = new Worker(new URL('./verify-worker.js', import.meta.url), { workerData: { claimed, run, levels } });
+    const done = (result) => {
+      clearTimeout(timer);
+      worker.removeAllListeners();
+      worker.terminate();
+      verifying--;
+      resolve(result);
+    };
+    const timer = setTimeout(() => done({ errors: ['run took too long to verify'] }), VERIFY_LIMITS.timeoutMs);
+    worker.once('message', done);
+    worker.once('error', (err) => done({ errors: [`replay failed: ${err.message}`] }));
+    worker.once('exit', () => done({ errors: ['replay failed'] }));
+  });
+}
@@ -0,0 +1,135 @@
+// test/sim.test.js (ESM)
+// Rules of the headless sim (public/sim.js), stepped from Node: crash
+// slowdown, fuel drain and spawn spacing.
+//   npm test
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const sim = require('../public/sim.js');
+
+const DT = sim.quantizeDt(1000 / 60 * sim.DEFAULTS.gameSpeed); // one frame at the default game speed
+const IDLE = { up: false, left: false, right: false, boost: false, steer: 0 };
+const GAS = Object.assign({}, IDLE, { up: true });
+
+// A game past the start, cruising at `speed` with the road clear
+function cruising(speed = 150) {
+  const game = sim.createGame({ seed: 1 });
+  for (let i = 0; i < 100; i++) game.step(DT, GAS);
+  const { state } = game;
+  state.cars = [];
+  Object.assign(state.player, { speed, targetSpeed: speed, hurt: 0 });
+  return game;
+}
+
+// A car of `type` right on top of the player and moving with it
+function carOnPlayer(state, type) {
+  const { player } = state;
+  const road = sim.roadAt(state, player.y + player.h / 2, {});
+  const laneW = road.w / road.lanes;
+  const lanePos = (player.x - road.x - (laneW - player.w) / 2) / laneW; // where it is across the lanes
+  const v = player.speed;
+  return {
+    x: player.x, y: player.y, w: player.w, h: player.h, type, speed: v, v,
+    laneIndex: Math.round(lanePos), lanePos, laneTimer: 100, spin: 0, spinDir: 0, angle: 0,
+    passed: false, hit: false, gap: sim.WORLD.w
+  };
+}
+
+test('a crash drops speed and fuel by the crash settings', () => {
+  const game = cruising();
+  const { state, config } = game;
+  const speed = state.player.speed, fuel = state.fuel;
+  assert.ok(speed - config.crashSlowdownKmh > config.crashMinSpeedKmh);
+
+  game.crash(1, 1, {});
+  assert.equal(state.player.speed, speed - config.crashSlowdownKmh);
+  assert.equal(state.fuel, fuel - config.crashFuelLoss);
+  assert.equal(state.player.hurt, config.crashInvulnMs);
+  assert.deepEqual(state.events.map(e => e.type), ['crash']);
+});
+
+test('a crash never drops below the minimum speed', () => {
+  const game = cruising(sim.DEFAULTS.crashMinSpeedKmh + 5);
+  const { state, config } = game;
+  game.crash(1, 1, {});
+  assert.equal(state.player.speed, config.crashMinSpeedKmh);
+});
+
+test('hitting a truck costs more than a car, and only once while hurt', () => {
+  const loss = (type) => {
+    const game = cruising();
+    const { state } = game;
+    state.cars.push(carOnPlayer(state, type));
+    const fuel = state.fuel;
+    game.step(DT, GAS);
+    const lost = fuel - state.fuel;
+    assert.equal(state.events.filter(e => e.type === 'crash').length, 1);
+    game.step(DT, GAS);
+    assert.equal(state.events.filter(e => e.type === 'crash').length, 0);
+    return lost;
+  };
+  const { config } = sim.createGame();
+  const car = loss(sim.CAR_TYPES.yellow), truck = loss(sim.CAR_TYPES.truck);
+  assert.ok(Math.abs(truck - car - config.crashFuelLoss * (config.crashTruckMultiplier - 1)) < 0.01);
+});
+
+test('fuel drains faster with speed and boost', () => {
+  const drained = (input, speed) => {
+    const game = cruising(speed);
+    const { state } = game;
+    const fuel = state.fuel;
+    game.step(DT, input);
+    return fuel - state.fuel;
+  };
+  const slow = drained(GAS, 60), fast = drained(GAS, 180);
+  const boosted = drained(Object.assign({}, GAS, { boost: true }), 180);
+  assert.ok(slow > 0);
+  assert.ok(fast > slow);
+  assert.ok(boosted > fast);
+});
+
+test('running out of fuel costs a life, then ends the game', () => {
+  const game = cruising();
+  const { state } = game;
+  const lives = state.lives;
+  assert.ok(lives > 0);
+
+  state.fuel = 0.001;
+  game.step(DT, IDLE);
+  assert.equal(state.lives, lives - 1);
+  assert.equal(state.fuel, 60);
+  assert.ok(state.events.some(e => e.type === 'lifeLost'));
+
+  state.lives = 0;
+  state.fuel = 0.001;
+  game.step(DT, IDLE);
+  assert.equal(state.over, true);
+  assert.ok(state.events.some(e => e.type === 'gameOver'));
+});
+
+test('new cars keep their distance from the others', () => {
+  for (const seed of [1, 7, 99]) {
+    const game = sim.createGame({ seed });
+    const { state, config } = game;
+    const seen = new Set();
+    let spawned = 0;
+    for (let i = 0; i < 6000 && !state.over; i++) {
+      game.step(DT, GAS);
+      if (state.stage.cleared) game.step(0, { advance: true });
+      for (const c of state.cars) {
+        if (seen.has(c)) continue;
+        seen.add(c);
+        spawned++;
+        for (const o of state.cars) {
+          if (o === c || !seen.has(o)) continue; // checked when their turn comes
+          assert.ok(Math.abs(o.y - c.y) >= config.minGapY, `seed ${seed}: cars ${Math.abs(o.y - c.y).toFixed(0)} px apart`);
+          const sameSegment = Math.floor(o.y / config.laneSegment) === Math.floor(c.y / config.laneSegment);
+          assert.ok(!(sameSegment && o.laneIndex === c.laneIndex), `seed ${seed}: two cars in one lane segment`);
+        }
+      }
+    }
+    assert.ok(spawned > 10, `seed ${seed}: only ${spawned} cars spawned`);
+  }
+});